@@ -0,0 +1,133 @@
+// benchmark.js
+// Times the solver on the problems behind the bundled examples.
+//
+// Usage: node benchmark.js [runs] [filter]
+// node benchmark.js 5 sudoku
+
+var csp = require('./csp'),
+    fs = require('fs'),
+    path = require('path');
+
+var RUNS = parseInt(process.argv[2], 10) || 3,
+    FILTER = process.argv[3] || '';
+
+// ------------------- Problems -------------------
+
+// nqueens.js: one variable per column, each domain the [column, row] squares.
+function nqueens(size) {
+  var variables = {}, constraints = [];
+  function not_colliding(i, j) {
+    return !(i[0] == j[0] || i[1] == j[1] || Math.abs(i[0] - j[0]) == Math.abs(i[1] - j[1]));
+  }
+  for (var i = 0; i < size; i++) {
+    variables[i] = [];
+    for (var j = 0; j < size; j++) {
+      variables[i].push([i, j]);
+      if (i != j) { constraints.push([i, j, not_colliding]); }
+    }
+  }
+  return { variables: variables, constraints: constraints };
+}
+
+// sudoku.js uses allDifferent per unit; index.html uses pairwise != arcs.
+function sudoku(puzzle, pairwise) {
+  var variables = {}, constraints = [], naryConstraints = [], units = [];
+  function neq(x, y) { return x != y; }
+  for (var i = 0; i < 9; i++) {
+    for (var j = 0; j < 9; j++) {
+      var clue = +puzzle[i * 9 + j];
+      variables[[i, j]] = clue ? [clue] : [1, 2, 3, 4, 5, 6, 7, 8, 9];
+    }
+  }
+  for (var i = 0; i < 9; i++) {
+    var row = [], col = [], block = [];
+    for (var j = 0; j < 9; j++) {
+      row.push([i, j]);
+      col.push([j, i]);
+      block.push([3 * (i / 3 | 0) + (j / 3 | 0), 3 * (i % 3) + j % 3]);
+    }
+    units.push(row, col, block);
+  }
+  units.forEach(function (unit) {
+    if (!pairwise) { naryConstraints.push(csp.allDifferent(unit)); return; }
+    unit.forEach(function (a) {
+      unit.forEach(function (b) { if (a != b) { constraints.push([a, b, neq]); } });
+    });
+  });
+  return { variables: variables, constraints: constraints, naryConstraints: naryConstraints };
+}
+
+// map_color.js: four-color the US states, optionally with the fewest colors.
+function mapColor(optimize) {
+  var data = JSON.parse(fs.readFileSync(path.join(__dirname, 'state_neighbors.json'))),
+      variables = {}, constraints = [];
+  function neq(s1, s2) { return s1 != s2; }
+  for (var state in data) {
+    variables[state] = ['red', 'yellow', 'green', 'blue'];
+    data[state].forEach(function (other) { constraints.push([state, other, neq]); });
+  }
+  var problem = { variables: variables, constraints: constraints };
+  if (optimize) {
+    problem.objective = problem.bound = function (assignment) {
+      var seen = {};
+      for (var state in assignment) { seen[assignment[state]] = true; }
+      return Object.keys(seen).length;
+    };
+  }
+  return problem;
+}
+
+// gencw.js style: 3 x 3 arithmetic square over wide integer intervals.
+function arithmetic() {
+  var variables = {}, naryConstraints = [];
+  for (var r = 0; r < 3; r++) {
+    for (var c = 0; c < 3; c++) { variables['r' + r + 'c' + c] = { min: 1, max: 1000 }; }
+  }
+  variables.r0c0 = [646];
+  naryConstraints.push(
+    csp.linear([1, 1, -1], ['r0c0', 'r0c1', 'r0c2'], '=', 0),
+    csp.times('r1c0', 'r1c1', 'r1c2'),
+    csp.linear([1, 1, -1], ['r2c0', 'r2c1', 'r2c2'], '=', 0),
+    csp.linear([1, -1, -1], ['r0c0', 'r1c0', 'r2c0'], '=', 0),
+    csp.times('r0c1', 'r1c1', 'r2c1'),
+    csp.linear([1, 1, -1], ['r0c2', 'r1c2', 'r2c2'], '=', 0));
+  return { variables: variables, naryConstraints: naryConstraints };
+}
+
+var EASY = '530070000600195000098000060800060003400803001700020006060000280000419005000080079',
+    HARD = '000000010400000000020000000000050407008000300001090000300400200050100000000806000';
+
+var CASES = [
+  { name: 'nqueens 8, first', problem: nqueens(8), run: csp.solve },
+  { name: 'nqueens 8, count', problem: nqueens(8), run: csp.count },
+  { name: 'nqueens 16, first', problem: nqueens(16), run: csp.solve },
+  { name: 'sudoku easy, allDifferent', problem: sudoku(EASY), run: csp.solve },
+  { name: 'sudoku easy, pairwise', problem: sudoku(EASY, true), run: csp.solve },
+  { name: 'sudoku hard, allDifferent', problem: sudoku(HARD), run: csp.solve },
+  { name: 'sudoku hard, pairwise', problem: sudoku(HARD, true), run: csp.solve },
+  { name: 'map color, first', problem: mapColor(false), run: csp.solve },
+  { name: 'map color, first, decomposed', problem: mapColor(false), run: csp.solve,
+    options: { decompose: 'trees' } },
+  { name: 'map color, fewest colors', problem: mapColor(true), run: csp.solve },
+  { name: 'sudoku hard, pairwise, restarts', problem: sudoku(HARD, true), run: csp.solve,
+    options: { restarts: 'luby', seed: 1 } },
+  { name: 'arithmetic square, intervals', problem: arithmetic(), run: csp.solve }
+];
+
+// ------------------- Run -------------------
+
+function pad(text, width) { text = String(text); return text + ' '.repeat(Math.max(width - text.length, 1)); }
+
+console.log(pad('case', 34) + pad('median ms', 11) + pad('nodes', 9) + pad('backtracks', 12) + 'propagations');
+CASES.filter(function (c) { return c.name.indexOf(FILTER) !== -1; }).forEach(function (c) {
+  var times = [], stats;
+  for (var i = 0; i < RUNS; i++) {
+    stats = {};
+    var start = process.hrtime.bigint();
+    c.run(c.problem, Object.assign({ stats: stats }, c.options));
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  times.sort(function (a, b) { return a - b; });
+  console.log(pad(c.name, 34) + pad(times[RUNS >> 1].toFixed(1), 11) +
+              pad(stats.nodes, 9) + pad(stats.backtracks, 12) + stats.propagations);
+});
@@ -2,368 +2,2203 @@
 
 var CSP = {},
     FAILURE = 'FAILURE',
-    stepCounter = 0;
+    SAT = 'SAT',
+    UNSAT = 'UNSAT',
+    UNKNOWN = 'UNKNOWN',
+    EVENT_TYPES = ['assign', 'split', 'prune', 'backtrack', 'solution'],
+    SPLIT_SIZE = 32, // interval domains wider than this are bisected, not enumerated
+    RUN_SLICE_MS = 15;
 
 // ---------------- Public API ----------------
 
-CSP.solve = function solve(csp) {
-  // Normalize and validate
-  csp = normalizeProblem(csp);
-  validateProblem(csp);
-
-  // Precompute n-ary adjacency index for GAC queueing
-  csp._naryIndex = buildNaryIndex(csp.naryConstraints);
+// The legacy failure sentinel, and the statuses of structured results.
+CSP.FAILURE = FAILURE;
+CSP.SAT = SAT;
+CSP.UNSAT = UNSAT;
+CSP.UNKNOWN = UNKNOWN;
 
-  // Backtrack with consistency
-  const result = backtrack({}, cloneVars(csp.variables), csp);
-  if (result === FAILURE) return result;
+// Every entry point takes optional options:
+//   stats, trace        statistics and a JSON Lines trace ("Statistics and tracing")
+//   seed, randomize,
+//   restarts            "Restarts and nogoods"
+//   timeoutMs, maxNodes,
+//   maxBacktracks       stop early with an UNKNOWN result ("Search limits")
+//   maxViolations       cap on the broken soft weight ("Soft constraints")
+//   strict              lint first: true throws on any diagnostic, 'errors'
+//                       only on errors ("Linting")
+// solve also takes:
+//   engine              'backtrack' (default) or 'minConflicts' ("Local search")
+//   explain             report failure as {status: 'UNSAT', core} (CSP.explain)
+//   structured          always return {status, solution, stats} (structuredResult)
+//   decompose           search independent parts apart ("Decomposition"), as
+//                       count also does
+CSP.solve = function solve(csp, options) {
+  if (options && options.structured) {
+    const stats = options.stats || {};
+    const result = CSP.solve(csp, Object.assign({}, options, { stats: stats, structured: false }));
+    return reportViolations(csp, structuredResult(result, stats, options.engine !== 'minConflicts'));
+  }
+  const engine = options && options.engine != null ? options.engine : 'backtrack';
+  if (engine === 'minConflicts') return minConflicts(csp, options);
+  if (engine !== 'backtrack') throw new Error('Unknown engine "' + engine + '"');
+  if (decomposable(csp, options)) return solveDecomposed(csp, options);
 
-  // Unwrap singleton arrays to raw values
-  for (var key in result) {
-    const v = result[key];
-    result[key] = Array.isArray(v) ? v[0] : v;
+  let result = FAILURE;
+  // With an objective every solution improves on the last: keep the final one.
+  const optimizing = isOptimizing(csp) && !(options && options.enumerate);
+  for (const event of startSearch(csp, options, ['solution'], true)) {
+    if (event.type === 'limit') return unknownResult(event, result);
+    result = event.solution;
+    if (!optimizing) break;
+  }
+  if (result === FAILURE && options && options.explain) {
+    return { status: UNSAT, core: CSP.explain(csp) || [] };
   }
   return result;
 };
 
+// Lazily yields every solution, in search order. When the problem has an
+// objective or soft constraints, yields a sequence of strictly improving
+// solutions instead (branch-and-bound); the last one is optimal.
+// options.enumerate yields every solution of those too.
+// A search limit ends the sequence early; options.stats.limit then names it.
+CSP.solutions = function* solutions(csp, options) {
+  for (const event of startSearch(csp, options, ['solution'], true)) {
+    if (event.type === 'solution') yield event.solution;
+  }
+};
+
+// Collects solutions into an array; options.limit caps how many are searched for.
+// Every solution, even with an objective (see options.enumerate).
+CSP.solveAll = function solveAll(csp, options) {
+  const limit = readLimit(options);
+  const out = [];
+  if (limit <= 0) return out;
+  for (const solution of CSP.solutions(csp, Object.assign({}, options, { enumerate: true }))) {
+    out.push(solution);
+    if (out.length >= limit) break;
+  }
+  return out;
+};
+
+// Counts solutions; with options.limit the search stops once that many are found,
+// so count(problem, {limit: 2}) === 1 is a cheap uniqueness check. Counts every
+// solution, even with an objective (see options.enumerate).
+CSP.count = function count(csp, options) {
+  const limit = readLimit(options);
+  let n = 0;
+  if (limit <= 0) return n;
+  if (decomposable(csp, options)) return countDecomposed(csp, options);
+  for (const _ of CSP.solutions(csp, Object.assign({}, options, { enumerate: true }))) {
+    if (++n >= limit) break;
+  }
+  return n;
+};
+
+// Explains why a problem has no solution: returns a minimal unsatisfiable core,
+// the constraints and clue domains that cannot all hold together (dropping any
+// one of them makes the rest satisfiable), or null if the problem is solvable.
+CSP.explain = function explain(csp) {
+  const items = explanationItems(csp);
+  return quickXplain(items, subset => satisfiable(restrictTo(csp, subset)));
+};
+
+// The soft constraints a solution breaks, as
+// {constraint: 'constraints' or 'naryConstraints', index, vars, weight, name?},
+// index being the position in the problem as given. Constraints with a
+// variable the solution leaves out are not judged.
+CSP.violations = function violations(csp, solution) {
+  const soft = normalizeProblem(csp).softConstraints;
+  const valueOf = v => Object.prototype.hasOwnProperty.call(solution, v) ? solution[v] : undefined;
+  return soft.filter(S => softBroken(S, valueOf)).map(S => {
+    const out = { constraint: S.constraint, index: S.index, vars: S.vars.slice(), weight: S.weight };
+    if (S.name != null) out.name = S.name;
+    return out;
+  });
+};
+
+// Whether the problem has soft constraints, which make solving it an
+// optimization (see "Soft constraints").
+CSP.hasSoftConstraints = hasSoftConstraints;
+
+// Reviews a problem without solving it. Returns a list of diagnostics, empty
+// when nothing looks wrong (see "Linting").
+CSP.lint = function lint(csp) {
+  return lintProblem(csp);
+};
+
+// Step-driven search. Returns a controller that is both a synchronous and an
+// asynchronous iterator over search events, and can run the search to its next
+// solution with pause/resume and an optional AbortSignal (options.signal).
+// options.events restricts which event types are produced.
+CSP.search = function search(csp, options) {
+  options = Object.assign({}, options);
+  options.stats = options.stats || {};
+  const signal = options.signal;
+  const optimizing = isOptimizing(csp) && !options.enumerate;
+  const events = (function* () {
+    yield* startSearch(csp, options, options.events || EVENT_TYPES, false);
+  })();
+  const waiters = [];
+  let paused = false, done = false, found = false;
+
+  function checkAborted() {
+    if (signal && signal.aborted) {
+      if (!done) { done = true; events.return(); }
+      throw abortReason(signal);
+    }
+  }
+  // Calls fn once the search is neither paused nor aborted.
+  function whenRunnable(fn) {
+    if (paused && !(signal && signal.aborted)) waiters.push(fn);
+    else fn();
+  }
+  function wake() {
+    while (waiters.length) waiters.shift()();
+  }
+  if (signal) signal.addEventListener('abort', wake);
+
+  const controller = {
+    result: undefined,
+    stats: options.stats,
+    get done() { return done; },
+    get paused() { return paused; },
+
+    // Synchronous iterator protocol: advances the search by one event.
+    next() {
+      checkAborted();
+      if (done) return { value: undefined, done: true };
+      const r = events.next();
+      if (r.done) {
+        done = true;
+        if (controller.result === undefined) controller.result = FAILURE;
+        return r;
+      }
+      if (r.value.type === 'solution') {
+        controller.result = r.value.solution;
+        found = true;
+      } else if (r.value.type === 'limit') {
+        controller.result = unknownResult(r.value, found ? controller.result : FAILURE);
+        found = true;
+      }
+      return r;
+    },
+    // Single step: the next event, or null once the search is exhausted.
+    step() {
+      const r = controller.next();
+      return r.done ? null : r.value;
+    },
+    pause() { paused = true; },
+    resume() {
+      paused = false;
+      wake();
+    },
+    // Runs until the next solution (or, with an objective, until the optimum is
+    // proven) and resolves with it, with 'FAILURE', or with an UNKNOWN result
+    // when a search limit is reached first. options.delay waits that
+    // many milliseconds between events; options.onEvent sees every event.
+    run(runOptions) {
+      runOptions = runOptions || {};
+      const delay = runOptions.delay || 0, onEvent = runOptions.onEvent;
+      found = false;
+      return new Promise((resolve, reject) => {
+        function tick() {
+          const sliceEnd = Date.now() + RUN_SLICE_MS;
+          try {
+            for (;;) {
+              checkAborted();
+              // A solution may also have been reached through step() while paused
+              if (found && !optimizing) return resolve(controller.result);
+              if (paused) return whenRunnable(tick);
+              const r = controller.next();
+              if (r.done) return resolve(found || optimizing ? controller.result : FAILURE);
+              if (onEvent) onEvent(r.value);
+              if (delay > 0) return void setTimeout(tick, delay);
+              if (Date.now() >= sliceEnd) return void setTimeout(tick, 0);
+            }
+          } catch (e) {
+            reject(e);
+          }
+        }
+        setTimeout(tick, 0);
+      });
+    },
+    [Symbol.iterator]() { return controller; },
+    [Symbol.asyncIterator]() {
+      return {
+        next: () => new Promise((resolve, reject) => {
+          whenRunnable(() => {
+            try { resolve(controller.next()); } catch (e) { reject(e); }
+          });
+        }),
+        [Symbol.asyncIterator]() { return this; }
+      };
+    }
+  };
+  return controller;
+};
+
+// The structured form of a legacy result: {status: 'SAT', solution, stats},
+// {status: 'UNSAT', solution: null, stats} (plus core with options.explain) or
+// {status: 'UNKNOWN', reason, solution, stats} (plus partial after a search
+// limit). A 'FAILURE' only proves unsatisfiability when the search that gave it
+// was complete; local search giving up is UNKNOWN, with reason 'maxIterations'.
+function structuredResult(result, stats, complete) {
+  if (result === FAILURE) {
+    return complete ? { status: UNSAT, solution: null, stats: stats }
+      : { status: UNKNOWN, reason: 'maxIterations', solution: null, stats: stats };
+  }
+  if (result && (result.status === UNSAT || result.status === UNKNOWN)) {
+    return Object.assign({ status: result.status, solution: null, stats: stats }, result);
+  }
+  return { status: SAT, solution: result, stats: stats };
+}
+
+// With soft constraints, results with a solution also list the broken ones in
+// violations, and their total weight in violatedWeight.
+function reportViolations(csp, out) {
+  if (!out.solution || !hasSoftConstraints(csp)) return out;
+  out.violations = CSP.violations(csp, out.solution);
+  out.violatedWeight = out.violations.reduce((sum, v) => sum + v.weight, 0);
+  return out;
+}
+
 // ---------------- Core search ----------------
 
-function backtrack(_assigned, unassigned, csp) {
-  const assigned = cloneAssignment(_assigned);
+// Normalizes the problem and returns the event generator of a fresh search.
+// Per-search state lives on the normalized copy, so nothing leaks between solves.
+function* startSearch(problem, options, eventTypes, replay) {
+  options = options || {};
 
-  if (finished(unassigned)) return assigned;
+  // Normalize and validate
+  checkStrict(problem, options);
+  const csp = normalizeProblem(problem);
+  validateProblem(csp);
 
-  const nextKey = selectUnassignedVariable(unassigned);
-  if (nextKey == null) return FAILURE;
+  // Precompute constraint indexes for propagation queueing
+  csp._arcsFrom = buildArcIndex(csp.constraints);
+  csp._naryIndex = buildNaryIndex(csp.naryConstraints);
 
-  const values = orderValues(nextKey, assigned, unassigned, csp);
-  // Remove nextKey domain from unassigned for this depth
-  const savedDom = unassigned[nextKey];
-  delete unassigned[nextKey];
+  // Heuristic state: declaration order, constraint scopes, dom/wdeg weights
+  csp._order = Object.keys(csp.variables);
+  csp._scopes = buildScopeIndex(csp);
+  csp._weights = csp.heuristics.variable === 'domWdeg' ? new Map() : null;
+  csp._random = seededRandom(options.seed != null ? options.seed : csp.heuristics.seed);
+  csp._restarts = restartPolicy(options);
+  csp._randomTies = !!(options.randomize || csp._restarts);
+  csp._limits = searchLimits(options);
+  csp._stopped = null;
+  csp._enumerate = !!options.enumerate;
+  setupSoftConstraints(csp, options);
 
-  for (let i = 0; i < values.length; i++) {
-    stepCounter++;
-    assigned[nextKey] = [values[i]];
+  csp._events = {};
+  for (let i = 0; i < eventTypes.length; i++) csp._events[eventTypes[i]] = true;
+  csp._replay = replay && !!csp.cb; // legacy cb/timeStep visualization
+  csp._stats = resetStats(options.stats || {});
+  csp._trace = traceWriter(options.trace);
+  csp._startedAt = Date.now();
+  csp._store = createStore(csp.variables);
+  csp._path = [];
+  csp._partial = {};
+  csp._partialFree = Infinity;
 
-    const consistent = enforceConsistency(assigned, unassigned, csp);
-    if (consistent === FAILURE) {
-      // rollback assignment and continue
-      delete assigned[nextKey];
-      continue;
+  // Every constraint is propagated once at the root; after that each decision
+  // only propagates from the variable it changed. A run that reaches its fail
+  // limit unwinds to here, leaving nogoods behind, and the search starts over.
+  for (let run = 0; ; run++) {
+    csp._fails = 0;
+    csp._failLimit = failLimit(csp._restarts, run);
+    csp._restart = false;
+    if (propagate(csp, null) && canImprove(csp)) {
+      if (csp._events.prune) yield* pruneEvents(csp, 0, 0);
+      if (csp._limits) recordPartial(csp);
+      for (const event of backtrack(csp, 0)) {
+        csp._stats.timeMs = Date.now() - csp._startedAt;
+        yield event;
+      }
+    }
+    if (csp._stopped) {
+      csp._stats.limit = csp._stopped;
+      csp._stats.timeMs = Date.now() - csp._startedAt;
+      traceRecord(csp, { type: 'limit', reason: csp._stopped });
+      // Delivered whatever the event types, so every caller can tell a
+      // stopped search from an exhausted one.
+      yield { type: 'limit', reason: csp._stopped, partial: csp._partial, stats: csp._stats };
+      return;
     }
+    if (!csp._restart) break;
+    undo(csp._store, 0);
+    csp._stats.restarts++;
+    traceRecord(csp, { type: 'restart', run: run + 1, nogoods: csp._stats.nogoods });
+  }
+  csp._stats.timeMs = Date.now() - csp._startedAt;
+}
+
+// Depth-first search over csp._store. Every decision and the propagation after
+// it only touch the trail, so undoing a decision restores exactly the domains
+// it changed.
+function* backtrack(csp, depth) {
+  const store = csp._store, stats = csp._stats;
+
+  if (store.free === 0) {
+    const solution = unwrapAssignment(store.domains);
+    if (csp.objective && !csp._enumerate) csp._incumbent = csp.objective(solution);
+    stats.solutions++;
+    traceRecord(csp, { type: 'solution', solution: solution, depth: depth });
+    yield { type: 'solution', solution: solution, depth: depth };
+    return;
+  }
+
+  const nextKey = selectUnassignedVariable(csp);
+  if (nextKey == null) return;
 
-    // Split consistent into newAssigned/newUnassigned
-    const newAssigned = {};
-    const newUnassigned = {};
-    for (const key in consistent) {
-      if (assigned[key]) newAssigned[key] = consistent[key].slice();
-      else newUnassigned[key] = consistent[key].slice();
+  // Wide intervals are split in halves rather than enumerated value by value;
+  // the variable stays unassigned with the narrowed domain.
+  const dom = store.domains[nextKey];
+  const split = isInterval(dom) && domSize(dom) > SPLIT_SIZE;
+  const choices = split ? orderHalves(splitInterval(dom), csp) : orderValues(nextKey, csp);
+  const decision = split ? 'split' : 'assign';
+
+  for (let i = 0; i < choices.length; i++) {
+    const choice = choices[i];
+    if (csp._limits) {
+      csp._stopped = limitReached(csp);
+      if (csp._stopped) return;
     }
+    stats.nodes++;
+    if (depth + 1 > stats.maxDepth) stats.maxDepth = depth + 1;
+    const mark = store.trail.length;
+    setDomain(store, nextKey, split ? choice : [choice]);
+    if (!split) assign(store, nextKey);
+    traceRecord(csp, decisionRecord(decision, nextKey, choice, split, depth));
+    if (csp._events[decision]) yield decisionEvent(decision, nextKey, choice, split, depth, store);
+
+    const consistent = propagate(csp, nextKey);
+    if (!consistent && ++csp._fails >= csp._failLimit) csp._restart = true;
+    if (consistent) {
+      if (csp._events.prune) yield* pruneEvents(csp, mark + 2, depth);
+      if (csp._limits && store.free < csp._partialFree) recordPartial(csp);
 
-    // Callback (optional)
-    if (csp.cb) {
-      setTimeout(((A, U) => () => csp.cb(A, U, csp))(newAssigned, newUnassigned), stepCounter * csp.timeStep);
+      // Legacy callback: replayed on a timer after the search has moved on
+      if (csp._replay) {
+        setTimeout(((A, U) => () => csp.cb(A, U, csp))(assignedDomains(store), unassignedDomains(store)),
+                   stats.nodes * csp.timeStep);
+      }
+
+      if (canImprove(csp)) {
+        csp._path.push({ variable: nextKey, domain: split ? choice : [choice] });
+        yield* backtrack(csp, depth + 1);
+        csp._path.pop();
+      }
     }
 
-    if (anyEmpty(consistent)) {
-      delete assigned[nextKey];
-      continue;
+    undo(store, mark);
+    if (!split) unassign(store, nextKey);
+    if (csp._stopped) return;
+    stats.backtracks++;
+    traceRecord(csp, decisionRecord('backtrack', nextKey, choice, split, depth));
+    if (csp._events.backtrack) yield decisionEvent('backtrack', nextKey, choice, split, depth, store);
+
+    if (csp._restart) {
+      // Choices before this one are fully explored, and so is this one if it
+      // failed here rather than somewhere below.
+      recordNogood(csp, nextKey, choices.slice(0, consistent ? i : i + 1), split);
+      return;
     }
+  }
+}
+
+// Lower and upper half of an interval domain.
+function splitInterval(dom) {
+  const mid = Math.floor((dom.min + dom.max) / 2);
+  return [{ min: dom.min, max: mid }, { min: mid + 1, max: dom.max }];
+}
+
+// ---------------- Search events ----------------
 
-    const result = backtrack(newAssigned, newUnassigned, csp);
-    if (result !== FAILURE) return result;
+// Decisions either assign a value or, when splitting an interval, narrow the
+// variable to a sub-interval reported as domain.
+function decisionEvent(type, variable, choice, split, depth, store) {
+  const event = decisionRecord(type, variable, choice, split, depth);
+  event.assignment = assignmentOf(store);
+  return event;
+}
+function decisionRecord(type, variable, choice, split, depth) {
+  const record = { type: type, variable: variable };
+  if (split) record.domain = choice;
+  else record.value = choice;
+  record.depth = depth;
+  return record;
+}
 
-    delete assigned[nextKey];
+// One 'prune' event per variable whose domain propagation narrowed, read off
+// the trail entries from index from on. Values removed from interval domains
+// are not listed, only the new bounds.
+function* pruneEvents(csp, from, depth) {
+  const store = csp._store, seen = new Set();
+  for (let i = from; i < store.trail.length; i += 2) {
+    const key = store.trail[i];
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const before = store.trail[i + 1], after = store.domains[key];
+    if (domSize(after) === domSize(before)) continue;
+    yield { type: 'prune', variable: key, removed: removedValues(before, after), domain: domCopy(after), depth: depth };
   }
+}
+
+// ---------------- Statistics and tracing ----------------
 
-  // restore (defensive – though caller discards this frame’s unassigned anyway)
-  unassigned[nextKey] = savedDom;
-  return FAILURE;
+function resetStats(stats) {
+  stats.nodes = 0;            // assignments tried
+  stats.backtracks = 0;       // assignments undone
+  stats.solutions = 0;
+  stats.propagations = 0;     // propagate calls, value-ordering probes included
+  stats.ac3Revisions = 0;     // binary arcs revised
+  stats.gacSupportChecks = 0; // hasSupport calls for n-ary constraints without a propagator
+  stats.propagatorCalls = 0;  // global constraint propagators run
+  stats.valuesPruned = 0;
+  stats.maxDepth = 0;
+  stats.restarts = 0;
+  stats.nogoods = 0;          // nogoods recorded at restarts
+  stats.limit = null;         // the search limit that stopped the search, if any
+  stats.timeMs = 0;
+  return stats;
 }
 
-// ---------------- Helpers: cloning and checks ----------------
+function traceWriter(trace) {
+  if (typeof trace === 'function') return trace;
+  if (trace && typeof trace.write === 'function') return line => trace.write(line);
+  return null;
+}
 
-function cloneVars(variables) {
-  const out = {};
-  for (const k in variables) out[k] = variables[k].slice();
-  return out;
+// Writes one JSON Lines record; t is milliseconds since the search started.
+// Records made while value ordering probes a candidate carry probe: true.
+function traceRecord(csp, record) {
+  if (!csp._trace) return;
+  record.t = Date.now() - csp._startedAt;
+  if (csp._probing) record.probe = true;
+  csp._trace(JSON.stringify(record) + '\n');
 }
-function cloneAssignment(assigned) {
-  const out = {};
-  for (const k in assigned) out[k] = assigned[k].slice();
-  return out;
+
+function abortReason(signal) {
+  if (signal.reason !== undefined) return signal.reason;
+  const err = new Error('Search aborted');
+  err.name = 'AbortError';
+  return err;
 }
-function finished(unassigned) {
-  return Object.keys(unassigned).length === 0;
+
+// ---------------- Branch-and-bound ----------------
+
+// True unless the node provably cannot beat the incumbent solution, or, with
+// soft constraints, provably breaks more than options.maxViolations. Leaves are
+// scored with the objective; inner nodes only when the problem supplies a
+// bound(assigned, unassigned) or per-variable bounds[v](domain, assigned),
+// each giving the best objective any completion could reach. With
+// options.enumerate there is no incumbent, so only maxViolations prunes.
+function canImprove(csp) {
+  if (!csp.objective || (csp._incumbent === undefined && csp._maxViolations === Infinity)) return true;
+  const store = csp._store;
+  const value = store.free === 0 ? csp.objective(unwrapAssignment(store.domains)) : nodeBound(csp);
+  if (value === null) return true;
+  if (value > csp._maxViolations) return false;
+  if (csp._incumbent === undefined) return true;
+  return csp.maximize ? value > csp._incumbent : value < csp._incumbent;
+}
+
+// The tightest of the problem's bounds at the current node, or null without any.
+function nodeBound(csp) {
+  if (!csp.bound && !csp.bounds) return null;
+  const store = csp._store, assigned = assignmentOf(store), values = [];
+  if (csp.bound) values.push(csp.bound(assigned, unassignedDomains(store)));
+  for (const v in csp.bounds) values.push(csp.bounds[v](domCopy(store.domains[v]), assigned));
+  return csp.maximize ? Math.min.apply(null, values) : Math.max.apply(null, values);
 }
-function anyEmpty(vars) {
-  for (const k in vars) if (!vars[k] || vars[k].length === 0) return true;
-  return false;
+
+// ---------------- Soft constraints ----------------
+//
+// A constraint with a weight, or with soft: true (weight 1), may be broken.
+// N-ary constraints carry these as properties; binary ones as an object after
+// the predicate and optional name: [head, tail, predicate, name?, {weight}].
+// A soft binary constraint is one check on the pair, not an arc, so it is
+// listed once. An infinite weight makes a constraint hard again.
+//
+// Soft constraints are never propagated. The search minimizes the total weight
+// of the broken ones by branch-and-bound: the objective is that weight, and
+// the bound is the weight already broken among the constraints whose
+// variables are all down to one value. options.maxViolations prunes every node
+// whose bound exceeds it, so a problem that cannot stay within it fails.
+
+// The {weight, soft} flags of a constraint, or null.
+function constraintFlags(c) {
+  if (!Array.isArray(c)) return c;
+  const last = c[c.length - 1];
+  return c.length > 3 && last && typeof last === 'object' ? last : null;
 }
-function partialAssignment(assigned, unassigned) {
-  const partial = {};
-  for (const key in unassigned) partial[key] = unassigned[key].slice();
-  for (const key in assigned) partial[key] = assigned[key].slice();
-  return partial;
+
+// The weight of a soft constraint, 0 for a hard one.
+function softWeight(flags) {
+  if (!flags || flags.soft === false || (flags.weight == null && !flags.soft)) return 0;
+  const weight = flags.weight == null ? 1 : flags.weight;
+  if (typeof weight !== 'number' || !(weight > 0)) throw new Error('A constraint weight must be a positive number');
+  return weight === Infinity ? 0 : weight;
 }
 
-// ---------------- Consistency: AC-3 + GAC ----------------
+// Copies the weight and soft properties of a constraint, options or JSON spec.
+function copyFlags(from, to) {
+  if (from.weight != null) to.weight = from.weight;
+  if (from.soft != null) to.soft = from.soft;
+  return to;
+}
 
-function enforceConsistency(assigned, unassigned, csp) {
-  const variables = partialAssignment(assigned, unassigned);
+function hasSoftConstraints(csp) {
+  const binary = (csp.constraints || []).filter(isBinaryConstraint);
+  const nary = (csp.naryConstraints || []).filter(isNaryConstraint);
+  return binary.some(c => softWeight(constraintFlags(c)) > 0) || nary.some(C => softWeight(C) > 0);
+}
 
-  // Binary AC-3 (if any)
-  if (csp.constraints.length) {
-    const ok = runAC3(variables, csp.constraints);
-    if (!ok) return FAILURE;
-  }
+// Whether solutions improve on one another rather than all being equal.
+function isOptimizing(csp) {
+  return typeof csp.objective === 'function' || hasSoftConstraints(csp);
+}
 
-  // N-ary GAC (if any)
-  if (csp.naryConstraints.length) {
-    const ok = runGAC(variables, csp);
-    if (!ok) return FAILURE;
+// Whether S is broken by the values valueOf gives; false while any of its
+// variables has none.
+function softBroken(S, valueOf) {
+  const values = {};
+  for (let i = 0; i < S.vars.length; i++) {
+    const value = valueOf(S.vars[i]);
+    if (value === undefined) return false;
+    values[S.vars[i]] = value;
   }
+  return !S.holds(values);
+}
 
-  return variables;
+function softCost(soft, valueOf) {
+  let cost = 0;
+  for (let i = 0; i < soft.length; i++) {
+    if (softBroken(soft[i], valueOf)) cost += soft[i].weight;
+  }
+  return cost;
 }
 
-// AC-3 for binary constraints represented as [head, tail, predicate(headVal, tailVal)]
-function runAC3(variables, constraints) {
-  function incomingConstraints(node) {
-    return constraints.filter(c => c[0] === node);
+// Turns the soft constraints of a normalized problem into its objective and bound.
+function setupSoftConstraints(csp, options) {
+  csp._maxViolations = Infinity;
+  if (!csp.softConstraints.length) return;
+  if (csp.objective) throw new Error('Soft constraints cannot be combined with an objective');
+  csp.bounds = null;
+  const max = options.maxViolations;
+  if (max != null) {
+    if (typeof max !== 'number' || !(max >= 0)) throw new Error('maxViolations must be a non-negative number');
+    csp._maxViolations = max;
   }
-  function removeInconsistentValues(head, tail, predicate, vars) {
-    const hv = vars[head], tv = vars[tail];
-    if (!hv || !tv) return false;
-    const validTailValues = tv.filter(t => hv.some(h => predicate(h, t)));
-    const removed = validTailValues.length !== tv.length;
-    vars[tail] = validTailValues;
-    return removed;
+  csp.objective = solution => softCost(csp.softConstraints, v => solution[v]);
+  csp.bound = () => {
+    const domains = csp._store.domains;
+    return softCost(csp.softConstraints, v => domSize(domains[v]) === 1 ? unwrapDomain(domains[v]) : undefined);
+  };
+  csp.maximize = false;
+}
+
+// ---------------- Search limits ----------------
+//
+// options.timeoutMs, options.maxNodes and options.maxBacktracks stop the search
+// before the next decision once reached. The search then ends with a 'limit'
+// event carrying the deepest partial assignment it reached (every variable
+// whose domain was down to one value), and solve returns
+// {status: 'UNKNOWN', reason, solution, partial, stats}, where solution is the
+// best solution found so far when optimizing, else null.
+
+function searchLimits(options) {
+  const limits = { deadline: Infinity, maxNodes: Infinity, maxBacktracks: Infinity };
+  let any = false;
+  ['timeoutMs', 'maxNodes', 'maxBacktracks'].forEach(key => {
+    const value = options[key];
+    if (value == null) return;
+    if (typeof value !== 'number' || !(value >= 0)) throw new Error(key + ' must be a non-negative number');
+    any = true;
+    if (key === 'timeoutMs') limits.deadline = Date.now() + value;
+    else limits[key] = value;
+  });
+  return any ? limits : null;
+}
+
+// The option whose limit the search has reached, or null.
+function limitReached(csp) {
+  const limits = csp._limits, stats = csp._stats;
+  if (stats.nodes >= limits.maxNodes) return 'maxNodes';
+  if (stats.backtracks >= limits.maxBacktracks) return 'maxBacktracks';
+  if (Date.now() >= limits.deadline) return 'timeoutMs';
+  return null;
+}
+
+// Remembers the fixed variables of the deepest node so far.
+function recordPartial(csp) {
+  const store = csp._store, partial = {};
+  csp._partialFree = store.free;
+  for (const key in store.domains) {
+    if (domSize(store.domains[key]) === 1) partial[key] = unwrapDomain(store.domains[key]);
   }
+  csp._partial = partial;
+}
+
+function unknownResult(event, best) {
+  return {
+    status: UNKNOWN,
+    reason: event.reason,
+    solution: best === FAILURE ? null : best,
+    partial: event.partial,
+    stats: event.stats
+  };
+}
+
+// ---------------- Decomposition ----------------
+//
+// Variables that share no constraint, directly or through other variables, do
+// not interact. With options.decompose, solve and count split the problem into
+// the connected components of its constraint hypergraph and search each one
+// on its own: a solution is any combination of component solutions, and the
+// count is the product of component counts. decompose: 'trees' also solves
+// components whose binary constraints form a tree (and which have no n-ary
+// constraints) without search, by directional arc consistency from the leaves
+// up followed by a backtrack-free pass from the root down. Problems with an
+// objective or soft constraints are searched whole, since the objective ties
+// the parts together.
+// options.stats gains components and treeComponents.
+
+const TREE_DOMAIN_LIMIT = 10000; // tree solving lists every value of every domain
+
+function decomposable(csp, options) {
+  return !!(options && options.decompose) && !isOptimizing(csp);
+}
+
+// The components of a normalized problem, as subproblems in declaration order.
+function problemComponents(csp) {
+  const parent = {};
+  const find = v => {
+    while (parent[v] !== v) v = parent[v] = parent[parent[v]];
+    return v;
+  };
+  const union = (a, b) => { parent[find(b)] = find(a); };
+  for (const v in csp.variables) parent[v] = v;
+  csp.constraints.forEach(c => union(c[0], c[1]));
+  csp.naryConstraints.forEach(C => C.vars.forEach(v => union(C.vars[0], v)));
 
-  let queue = constraints.slice();
-  while (queue.length) {
-    const [head, tail, predicate] = queue.shift();
-    if (!variables[head] || !variables[tail]) continue;
-    if (removeInconsistentValues(head, tail, predicate, variables)) {
-      if (!variables[tail] || variables[tail].length === 0) return false;
-      queue = queue.concat(incomingConstraints(tail));
+  const parts = new Map();
+  for (const v in csp.variables) {
+    const root = find(v);
+    if (!parts.has(root)) {
+      parts.set(root, { variables: {}, constraints: [], naryConstraints: [], heuristics: csp.heuristics });
     }
+    parts.get(root).variables[v] = csp.variables[v];
   }
-  return true;
+  csp.constraints.forEach(c => parts.get(find(c[0])).constraints.push(c));
+  csp.naryConstraints.forEach(C => parts.get(find(C.vars[0])).naryConstraints.push(C));
+  return Array.from(parts.values());
 }
 
-// Build var -> list of n-ary constraints
-function buildNaryIndex(naryConstraints) {
-  const index = {};
-  for (let i = 0; i < naryConstraints.length; i++) {
-    const C = naryConstraints[i];
-    if (!C || !Array.isArray(C.vars)) continue;
-    for (let j = 0; j < C.vars.length; j++) {
-      const v = C.vars[j];
-      (index[v] = index[v] || []).push(C);
+function solveDecomposed(problem, options) {
+  checkStrict(problem, options);
+  const csp = normalizeProblem(problem);
+  validateProblem(csp);
+  const limits = searchLimits(options), startedAt = Date.now();
+  const parts = problemComponents(csp), stats = decomposedStats(options, parts);
+  const found = {};
+
+  for (const part of parts) {
+    const partStats = {};
+    let result;
+    if (options.decompose === 'trees' && isTree(part)) {
+      result = solveTree(part, partStats);
+      stats.treeComponents++;
+    } else {
+      const partOptions = Object.assign({}, options, remainingLimits(options, limits, stats),
+                                        { decompose: false, explain: false, strict: false, stats: partStats });
+      result = CSP.solve(part, partOptions);
+    }
+    addStats(stats, partStats);
+    stats.timeMs = Date.now() - startedAt;
+    if (result === FAILURE) {
+      return options.explain ? { status: UNSAT, core: CSP.explain(problem) || [] } : FAILURE;
+    }
+    if (result.status === UNKNOWN) {
+      const partial = Object.assign({}, found, result.partial);
+      return unknownResult({ reason: result.reason, partial: partial, stats: stats }, FAILURE);
     }
+    Object.assign(found, result);
   }
-  return index;
+  stats.solutions = 1;
+  // Variables in declaration order, as a whole search would give them
+  const solution = {};
+  for (const v in csp.variables) solution[v] = found[v];
+  return solution;
 }
 
-// Robust GAC driver
-function runGAC(variables, csp) {
-  // Start with all n-ary constraints in the queue
-  const queue = csp.naryConstraints.slice();
+function countDecomposed(problem, options) {
+  checkStrict(problem, options);
+  const csp = normalizeProblem(problem);
+  validateProblem(csp);
+  const limit = readLimit(options), limits = searchLimits(options), startedAt = Date.now();
+  const parts = problemComponents(csp), stats = decomposedStats(options, parts);
+  // Each count is capped at limit: the product reaches limit exactly when the
+  // uncapped product would, as long as no count is zero.
+  let product = 1;
+  for (const part of parts) {
+    const partStats = {};
+    const partOptions = Object.assign({}, options, remainingLimits(options, limits, stats),
+                                      { decompose: false, strict: false, stats: partStats });
+    const n = CSP.count(part, partOptions);
+    addStats(stats, partStats);
+    stats.timeMs = Date.now() - startedAt;
+    product = Math.min(product * n, limit);
+    if (product === 0 || stats.limit) break;
+  }
+  stats.solutions = product;
+  return product;
+}
 
-  // For quick related-constraint lookup
-  const index = csp._naryIndex || buildNaryIndex(csp.naryConstraints);
+function decomposedStats(options, parts) {
+  const stats = resetStats(options.stats || {});
+  stats.components = parts.length;
+  stats.treeComponents = 0;
+  return stats;
+}
 
-  while (queue.length) {
-    const C = queue.shift();
-    if (!C || !Array.isArray(C.vars) || typeof C.predicate !== 'function') continue;
+// Adds a component's statistics to the totals.
+function addStats(stats, part) {
+  for (const key in part) {
+    if (key === 'maxDepth') stats.maxDepth = Math.max(stats.maxDepth, part.maxDepth);
+    else if (key === 'limit') stats.limit = stats.limit || part.limit;
+    else if (key !== 'timeMs' && typeof part[key] === 'number') stats[key] = (stats[key] || 0) + part[key];
+  }
+}
 
-    let changedAny = false;
+// The search limits left for the next component, given the work done so far.
+function remainingLimits(options, limits, stats) {
+  const out = {};
+  if (!limits) return out;
+  if (options.timeoutMs != null) out.timeoutMs = Math.max(0, limits.deadline - Date.now());
+  if (options.maxNodes != null) out.maxNodes = Math.max(0, limits.maxNodes - stats.nodes);
+  if (options.maxBacktracks != null) out.maxBacktracks = Math.max(0, limits.maxBacktracks - stats.backtracks);
+  return out;
+}
 
-    for (let vi = 0; vi < C.vars.length; vi++) {
-      const varName = C.vars[vi];
-      const dom = variables[varName];
-      if (!Array.isArray(dom)) continue; // variable may not be in current scope
+// A connected component is a tree when its distinct constrained pairs number
+// one less than its variables.
+function isTree(part) {
+  if (part.naryConstraints.length) return false;
+  const vars = Object.keys(part.variables), pairs = new Set();
+  if (vars.some(v => domSize(part.variables[v]) > TREE_DOMAIN_LIMIT)) return false;
+  part.constraints.forEach(c => {
+    if (c[0] !== c[1]) pairs.add(c[0] < c[1] ? c[0] + '\0' + c[1] : c[1] + '\0' + c[0]);
+  });
+  return pairs.size === vars.length - 1;
+}
 
-      const newDom = [];
-      for (let di = 0; di < dom.length; di++) {
-        const val = dom[di];
-        if (hasSupport(varName, val, C, variables)) newDom.push(val);
-      }
-      if (newDom.length !== dom.length) {
-        variables[varName] = newDom;
-        if (newDom.length === 0) return false;
-        changedAny = true;
-      }
+function solveTree(part, stats) {
+  resetStats(stats);
+  const vars = Object.keys(part.variables), domains = {}, adjacent = {}, arcs = new Map();
+  vars.forEach(v => {
+    domains[v] = domValues(part.variables[v]).slice();
+    adjacent[v] = [];
+  });
+  part.constraints.forEach(c => {
+    const [head, tail, predicate] = c;
+    // A constraint between a variable and itself only filters its domain
+    if (head === tail) {
+      domains[head] = domains[head].filter(x => predicate(x, x));
+      return;
+    }
+    const key = head + '\0' + tail;
+    if (!arcs.has(key) && !arcs.has(tail + '\0' + head)) {
+      adjacent[head].push(tail);
+      adjacent[tail].push(head);
     }
+    (arcs.get(key) || arcs.set(key, []).get(key)).push(predicate);
+  });
+  const compatible = (p, pv, c, cv) =>
+    (arcs.get(p + '\0' + c) || []).every(f => f(pv, cv)) && (arcs.get(c + '\0' + p) || []).every(f => f(cv, pv));
 
-    if (changedAny) {
-      // Re-enqueue all constraints related to any var in C
-      for (let vi2 = 0; vi2 < C.vars.length; vi2++) {
-        const v2 = C.vars[vi2];
-        const related = index[v2] || [];
-        for (let r = 0; r < related.length; r++) {
-          const Rc = related[r];
-          if (queue.indexOf(Rc) === -1) queue.push(Rc);
-        }
+  // Breadth-first order from the first variable, each variable after its parent
+  const order = [vars[0]], parent = { [vars[0]]: null };
+  for (let i = 0; i < order.length; i++) {
+    adjacent[order[i]].forEach(w => {
+      if (!(w in parent)) {
+        parent[w] = order[i];
+        order.push(w);
       }
-    }
+    });
   }
-  return true;
-}
 
-// Robust hasSupport: checks if focusVar=focusVal can be extended to satisfy C.predicate
-function hasSupport(focusVar, focusVal, C, variables) {
-  // Prepare the list of other variables that have defined, non-empty domains
-  const others = [];
-  for (let i = 0; i < C.vars.length; i++) {
-    const v = C.vars[i];
-    if (v === focusVar) continue;
-    const dom = variables[v];
-    if (!Array.isArray(dom)) return false;      // missing variable => no support
-    if (dom.length === 0) return false;         // empty domain => no support
-    others.push(v);
+  // Leaves up: keep only parent values with a compatible value in each child
+  for (let i = order.length - 1; i > 0; i--) {
+    const c = order[i], p = parent[c], before = domains[p].length;
+    stats.ac3Revisions++;
+    domains[p] = domains[p].filter(pv => domains[c].some(cv => compatible(p, pv, c, cv)));
+    stats.valuesPruned += before - domains[p].length;
+    if (!domains[p].length) return FAILURE;
   }
+  if (!domains[order[0]].length) return FAILURE;
 
-  // Sort by domain size, but guard against undefined
-  others.sort((a, b) => {
-    const da = variables[a] ? variables[a].length : Infinity;
-    const db = variables[b] ? variables[b].length : Infinity;
-    return da - db;
+  // Root down: every value left has support below it, so no choice fails
+  const solution = {};
+  order.forEach(v => {
+    const p = parent[v];
+    solution[v] = p === null ? domains[v][0] : domains[v].find(x => compatible(p, solution[p], v, x));
+    stats.nodes++;
   });
+  stats.solutions = 1;
+  stats.maxDepth = order.length;
+  return solution;
+}
 
-  // DFS over cartesian product of others' domains
-  const order = [focusVar].concat(others);
-  const domains = [ [focusVal] ].concat(others.map(v => variables[v]));
+// ---------------- Restarts and nogoods ----------------
+//
+// options.restarts = 'luby' | 'geometric' | {policy, scale, factor} restarts
+// the search from the root each time a run has refuted its budget of
+// decisions: scale times the Luby sequence 1, 1, 2, 1, 1, 2, 4, ..., or scale
+// times factor^run. Restarts break ties between variables at random (as does
+// options.randomize alone), seeded by options.seed or the heuristics seed, so
+// each run explores the problem in a different order. When
+// a run is abandoned, every decision it fully explored becomes a nogood (the
+// decisions above it plus itself may not hold together), which keeps later
+// runs out of explored subtrees. That makes restarting complete, and solutions
+// are never reported twice.
 
-  const assign = {};
-  function dfs(i) {
-    if (i === order.length) {
-      try {
-        return !!C.predicate(assign);
-      } catch (e) {
-        return false;
-      }
-    }
-    const vname = order[i];
-    const dom = domains[i] || [];
-    for (let k = 0; k < dom.length; k++) {
-      assign[vname] = dom[k];
-      if (dfs(i + 1)) return true;
-    }
-    delete assign[vname];
-    return false;
+function restartPolicy(options) {
+  let policy = options.restarts;
+  if (!policy) return null;
+  if (typeof policy === 'string') policy = { policy: policy };
+  policy = Object.assign({ policy: 'luby', scale: 100, factor: 1.5 }, policy === true ? {} : policy);
+  if (policy.policy !== 'luby' && policy.policy !== 'geometric') {
+    throw new Error('Unknown restart policy "' + policy.policy + '"');
   }
-  return dfs(0);
+  return policy;
 }
 
-// ---------------- Heuristics ----------------
+// Failed decisions allowed in the given run (0-based).
+function failLimit(policy, run) {
+  if (!policy) return Infinity;
+  if (policy.policy === 'luby') return policy.scale * luby(run + 1);
+  return Math.max(1, Math.round(policy.scale * Math.pow(policy.factor, run)));
+}
 
-function selectUnassignedVariable(unassigned) {
-  let minKey = null, minLen = Infinity;
-  for (const key in unassigned) {
-    const dom = unassigned[key];
-    const len = Array.isArray(dom) ? dom.length : Infinity;
-    if (len < minLen) {
-      minKey = key; minLen = len;
-      if (len === 1) break;
-    }
+// The i-th term (1-based) of the Luby sequence.
+function luby(i) {
+  for (;;) {
+    let k = 1;
+    while ((1 << k) - 1 < i) k++;
+    if (i === (1 << k) - 1) return 1 << (k - 1);
+    i -= (1 << (k - 1)) - 1;
   }
-  return minKey;
 }
 
-function orderValues(nextKey, assigned, unassigned, csp) {
-  const baseValues = (unassigned[nextKey] || []).slice();
-  if (baseValues.length <= 1) return baseValues;
+// The nogood for the explored choices of variable: the decisions on the
+// current path, followed by variable taking any of those choices.
+function recordNogood(csp, variable, explored, split) {
+  if (!explored.length) return;
+  const domain = !split ? explored : {
+    min: Math.min.apply(null, explored.map(half => half.min)),
+    max: Math.max.apply(null, explored.map(half => half.max))
+  };
+  const literals = csp._path.concat({ variable: variable, domain: domain });
+  csp.naryConstraints.push(nogoodConstraint(literals, csp._naryIndex));
+  csp._stats.nogoods++;
+}
 
-  // Count total domain sizes after enforcing consistency with tentative assignment
-  function countValues(vars) {
-    let sum = 0;
-    for (const k in vars) {
-      const d = vars[k];
-      sum += Array.isArray(d) ? d.length : 0;
+// Literals {variable, domain} that may not all hold at once. Once all but one
+// hold, the last one's domain is removed from its variable. As with clauses in
+// a SAT solver only two literals are watched: the constraint is indexed under
+// their variables alone and only looks for new literals to watch when one of
+// the watched ones holds.
+function nogoodConstraint(literals, naryIndex) {
+  // The deepest decisions are the last to hold, so they make the best watches.
+  const n = literals.length, watched = n > 1 ? [n - 1, n - 2] : [0];
+  const C = {
+    type: 'nogood',
+    vars: literals.map(l => l.variable),
+    literals: literals,
+    predicate: t => !literals.every(l => domWithin([t[l.variable]], l.domain)),
+    propagate: variables => {
+      const holds = i => domWithin(variables[literals[i].variable], literals[i].domain);
+      for (let w = 0; w < watched.length; w++) {
+        if (!holds(watched[w])) continue;
+        for (let i = 0; i < literals.length; i++) {
+          if (watched.indexOf(i) !== -1 || holds(i)) continue;
+          watch(w, i);
+          break;
+        }
+      }
+      const open = watched.filter(i => !holds(i));
+      if (open.length > 1) return true;
+      if (!open.length) return false;
+      const last = literals[open[0]];
+      variables[last.variable] = domWithout(variables[last.variable], last.domain);
+      return true;
     }
-    return sum;
+  };
+  function watch(w, i) {
+    const from = literals[watched[w]].variable;
+    watched[w] = i;
+    if (!watched.some(j => literals[j].variable === from)) naryIndex[from].splice(naryIndex[from].indexOf(C), 1);
+    const to = literals[i].variable;
+    if (!naryIndex[to]) naryIndex[to] = [];
+    if (naryIndex[to].indexOf(C) === -1) naryIndex[to].push(C);
   }
+  watched.forEach(i => {
+    const v = literals[i].variable;
+    if (!naryIndex[v]) naryIndex[v] = [];
+    if (naryIndex[v].indexOf(C) === -1) naryIndex[v].push(C);
+  });
+  return C;
+}
 
-  const score = Object.create(null);
+// ---------------- Local search ----------------
+//
+// solve(problem, {engine: 'minConflicts'}) starts from a greedy assignment and
+// repairs it: each iteration picks a random variable in a violated constraint
+// and moves it to the value that violates the fewest constraints. Options:
+// maxIterations (default 100000); tabu, the number of iterations a variable
+// may not return to a value it just left unless that beats the best state seen
+// (default 10, 0 disables); randomWalk, the chance of moving to a random value
+// instead (default 0.02); and seed. The search is incomplete: when the
+// iterations run out it returns 'FAILURE' whether or not a solution exists.
+// It only looks for a solution, never a better one, so a problem with an
+// objective or soft constraints throws. Domains of more than LOCAL_SAMPLE
+// values are sampled instead of enumerated.
 
-  for (let i = 0; i < baseValues.length; i++) {
-    const val = baseValues[i];
+const LOCAL_SAMPLE = 64;
 
-    // Build fresh copies to avoid mutating parent state
-    const A = cloneAssignment(assigned);
-    const U = cloneVars(unassigned);
+function minConflicts(problem, options) {
+  checkStrict(problem, options);
+  const csp = normalizeProblem(problem);
+  validateProblem(csp);
+  if (isOptimizing(problem)) {
+    throw new Error("engine: 'minConflicts' cannot optimize: the problem has an objective or soft constraints");
+  }
+  const maxIterations = options.maxIterations != null ? options.maxIterations : 100000,
+        tenure = options.tabu != null ? options.tabu : 10,
+        walk = options.randomWalk != null ? options.randomWalk : 0.02,
+        random = seededRandom(options.seed != null ? options.seed : csp.heuristics.seed),
+        stats = options.stats || {};
+  csp._trace = traceWriter(options.trace);
+  csp._startedAt = Date.now();
+  stats.iterations = 0;
+  stats.randomWalks = 0;
+  stats.violations = 0;       // constraints violated by the final assignment
+  stats.timeMs = 0;
 
-    // Tentatively assign nextKey
-    A[nextKey] = [val];
-    delete U[nextKey];
+  const names = Object.keys(csp.variables), index = {};
+  if (names.some(v => domSize(csp.variables[v]) === 0)) return FAILURE;
+  names.forEach((v, i) => { index[v] = i; });
 
-    const res = enforceConsistency(A, U, csp);
-    if (res === FAILURE || anyEmpty(res)) {
-      score[val] = -Infinity; // worst score (eliminated)
+  // Every binary arc and n-ary constraint as a check on the current values:
+  // arcs read the values by variable index, n-ary predicates by name. unset
+  // counts the variables of a check without a value during the greedy start.
+  const vals = new Array(names.length), values = {}, checks = [], on = names.map(() => []);
+  csp.constraints.forEach(c => checks.push({ scope: [index[c[0]], index[c[1]]], pred: c[2] }));
+  csp.naryConstraints.forEach(C => {
+    checks.push({ scope: Array.from(new Set(C.vars.map(v => index[v]))), nary: C });
+  });
+  const unset = checks.map(check => check.scope.length);
+  checks.forEach((check, i) => check.scope.forEach(v => on[v].push(i)));
+
+  function holds(i) {
+    const check = checks[i];
+    if (check.pred) return !!check.pred(vals[check.scope[0]], vals[check.scope[1]]);
+    try {
+      return !!check.nary.predicate(values);
+    } catch (e) {
+      rethrowWorkerScope(e);
+      return false;
+    }
+  }
+  function set(v, val) {
+    vals[v] = val;
+    if (csp.naryConstraints.length) values[names[v]] = val;
+  }
+  function candidates(v) {
+    const dom = csp.variables[names[v]], size = domSize(dom);
+    if (size <= LOCAL_SAMPLE) return domValues(dom);
+    const out = [];
+    for (let i = 0; i < LOCAL_SAMPLE; i++) {
+      const k = Math.floor(random() * size);
+      out.push(isInterval(dom) ? dom.min + k : dom[k]);
+    }
+    return out;
+  }
+  function pick(list) {
+    return list[Math.floor(random() * list.length)];
+  }
+  // Violated checks on v if it took val. Checks with other variables still
+  // unset do not count yet.
+  function violationsAt(v, val) {
+    const old = vals[v];
+    set(v, val);
+    let n = 0;
+    for (let k = 0; k < on[v].length; k++) {
+      const i = on[v][k];
+      if (unset[i] <= 1 && !holds(i)) n++;
+    }
+    set(v, old);
+    return n;
+  }
+  function leastViolating(v, allowed) {
+    let best = Infinity, ties = [];
+    const cands = candidates(v);
+    for (let k = 0; k < cands.length; k++) {
+      if (!allowed(cands[k])) continue;
+      const n = violationsAt(v, cands[k]);
+      if (n < best) { best = n; ties = [cands[k]]; } else if (n === best) ties.push(cands[k]);
+    }
+    return ties.length ? { value: pick(ties), violations: best } : null;
+  }
+
+  // Greedy start in declaration order
+  for (let v = 0; v < names.length; v++) {
+    set(v, leastViolating(v, () => true).value);
+    on[v].forEach(i => { unset[i]--; });
+  }
+
+  // Which checks are violated, how many per variable, and the variables with
+  // a violation that can still move (a sparse set, for random picks)
+  const broken = checks.map((_, i) => !holds(i)), conflicts = names.map(() => 0), conflicted = [],
+        position = names.map(() => -1), movable = names.map(v => domSize(csp.variables[v]) > 1);
+  let total = 0;
+  function addConflicts(v, delta) {
+    conflicts[v] += delta;
+    if (!movable[v]) return;
+    if (conflicts[v] > 0 && position[v] === -1) {
+      position[v] = conflicted.length;
+      conflicted.push(v);
+    } else if (conflicts[v] === 0 && position[v] !== -1) {
+      const last = conflicted.pop();
+      if (last !== v) { conflicted[position[v]] = last; position[last] = position[v]; }
+      position[v] = -1;
+    }
+  }
+  broken.forEach((b, i) => {
+    if (!b) return;
+    total++;
+    checks[i].scope.forEach(v => addConflicts(v, 1));
+  });
+  function move(v, val) {
+    set(v, val);
+    for (let k = 0; k < on[v].length; k++) {
+      const i = on[v][k], b = !holds(i);
+      if (b === broken[i]) continue;
+      broken[i] = b;
+      total += b ? 1 : -1;
+      checks[i].scope.forEach(u => addConflicts(u, b ? 1 : -1));
+    }
+  }
+
+  const tabu = names.map(() => new Map());
+  let best = total;
+  while (total > 0 && conflicted.length && stats.iterations < maxIterations) {
+    stats.iterations++;
+    const v = pick(conflicted), current = vals[v];
+    let next;
+    if (random() < walk) {
+      next = pick(candidates(v));
+      stats.randomWalks++;
     } else {
-      score[val] = countValues(res); // larger remaining search => try later
+      const choice = leastViolating(v, val => !(tabu[v].get(val) > stats.iterations) ||
+                                              total - conflicts[v] + violationsAt(v, val) < best);
+      if (!choice) continue;
+      next = choice.value;
     }
+    if (next === current) continue;
+    if (tenure) tabu[v].set(current, stats.iterations + tenure);
+    move(v, next);
+    if (total < best) best = total;
+    traceRecord(csp, { type: 'move', variable: names[v], value: next, violations: total });
   }
 
-  // Sort descending by score (fail-most-first), tie-break by value stable
-  baseValues.sort((a, b) => (score[b] - score[a]));
-  return baseValues;
+  stats.violations = total;
+  stats.timeMs = Date.now() - csp._startedAt;
+  if (total) return FAILURE;
+  names.forEach((v, i) => { values[v] = vals[i]; });
+  return values;
 }
 
-// ---------------- Validation and normalization ----------------
+// ---------------- Explanations ----------------
 
-function normalizeProblem(csp) {
-  const out = {
-    variables: {},
-    constraints: [],
-    naryConstraints: [],
-    timeStep: csp.timeStep || 1,
-    cb: csp.cb
-  };
-  // Clone variables defensively and ensure arrays
-  for (const k in csp.variables || {}) {
-    const dom = csp.variables[k];
-    out.variables[k] = Array.isArray(dom) ? dom.slice() : [];
+// The parts of a problem an explanation may blame: every well-formed hard
+// binary and n-ary constraint, plus each domain narrower than the union of all
+// domains (clues and other fixed values). Dropping a domain widens it to that
+// union. Soft constraints cannot make a problem unsatisfiable.
+function explanationItems(csp) {
+  const items = [];
+  const universe = domainUniverse(csp.variables || {});
+  for (const v in csp.variables || {}) {
+    const dom = normalizeDomain(csp.variables[v]);
+    if (domSize(dom) < domSize(universe)) {
+      items.push({ type: 'domain', variable: v, domain: dom, name: v + ' in ' + JSON.stringify(dom) });
+    }
   }
-  // Binary constraints: expect [head, tail, predicate]
-  if (Array.isArray(csp.constraints)) {
-    out.constraints = csp.constraints.slice().filter(c =>
-      Array.isArray(c) && c.length >= 3 && typeof c[2] === 'function'
-    );
+  (csp.constraints || []).forEach((c, i) => {
+    if (!isBinaryConstraint(c) || softWeight(constraintFlags(c))) return;
+    items.push({ type: 'binary', index: i, constraint: c, name: c[3] != null ? String(c[3]) : c[0] + ' -> ' + c[1] });
+  });
+  (csp.naryConstraints || []).forEach((C, i) => {
+    if (!isNaryConstraint(C) || softWeight(C)) return;
+    items.push({ type: 'nary', index: i, constraint: C, name: C.name != null ? String(C.name) : (C.type || 'nary') + '(' + C.vars.join(', ') + ')' });
+  });
+  items.universe = universe;
+  return items;
+}
+
+// The union of all array domains, or with interval domains around, the
+// interval spanning every domain.
+function domainUniverse(variables) {
+  const seen = new Set(), values = [];
+  let hull = null;
+  for (const v in variables) {
+    const dom = normalizeDomain(variables[v]);
+    if (isInterval(dom)) {
+      if (!domSize(dom)) continue;
+      hull = hull ? { min: Math.min(hull.min, dom.min), max: Math.max(hull.max, dom.max) } : dom;
+      continue;
+    }
+    for (let i = 0; i < dom.length; i++) {
+      const key = JSON.stringify(dom[i]);
+      if (!seen.has(key)) { seen.add(key); values.push(dom[i]); }
+    }
   }
-  // N-ary constraints: expect { vars: [...], predicate: fn }
-  if (Array.isArray(csp.naryConstraints)) {
-    out.naryConstraints = csp.naryConstraints.slice().filter(C =>
-      C && Array.isArray(C.vars) && typeof C.predicate === 'function'
-    );
+  if (!hull) return values;
+  for (let i = 0; i < values.length; i++) {
+    hull = { min: Math.min(hull.min, Math.ceil(values[i])), max: Math.max(hull.max, Math.floor(values[i])) };
   }
-  return out;
+  return hull;
 }
 
-function validateProblem(csp) {
-  const varsSet = new Set(Object.keys(csp.variables));
-
-  // Ensure all domains are arrays and non-empty
+// The problem with only the given explanation items in force.
+function restrictTo(csp, subset) {
+  const out = { variables: {}, constraints: [], naryConstraints: [] };
+  const universe = subset.universe;
+  const narrowed = {};
+  for (let i = 0; i < subset.length; i++) {
+    const item = subset[i];
+    if (item.type === 'domain') narrowed[item.variable] = item.domain;
+    else if (item.type === 'binary') out.constraints.push(item.constraint);
+    else out.naryConstraints.push(item.constraint);
+  }
   for (const v in csp.variables) {
-    if (!Array.isArray(csp.variables[v])) {
-      throw new Error('Variable "' + v + '" domain is not an array');
-    }
+    const dom = normalizeDomain(csp.variables[v]);
+    out.variables[v] = narrowed[v] || (domSize(dom) >= domSize(universe) ? dom : universe);
   }
+  return out;
+}
 
-  // Validate binary constraints
-  for (let i = 0; i < csp.constraints.length; i++) {
-    const c = csp.constraints[i];
-    const head = c[0], tail = c[1], pred = c[2];
-    if (!varsSet.has(head)) throw new Error('Binary constraint references unknown variable "' + head + '"');
-    if (!varsSet.has(tail)) throw new Error('Binary constraint references unknown variable "' + tail + '"');
-    if (typeof pred !== 'function') throw new Error('Binary constraint missing predicate function');
+function satisfiable(csp) {
+  return !startSearch(csp, null, ['solution'], false).next().done;
+}
+
+// QuickXplain (Junker 2004): a minimal subset of items that is inconsistent on
+// its own, found with O(k log(n/k)) consistency checks for a core of size k.
+function quickXplain(items, isConsistent) {
+  function keep(list) {
+    list.universe = items.universe;
+    return list;
   }
+  function qx(background, hasDelta, candidates) {
+    if (hasDelta && !isConsistent(keep(background))) return [];
+    if (candidates.length === 1) return candidates;
+    const k = candidates.length >> 1;
+    const c1 = candidates.slice(0, k), c2 = candidates.slice(k);
+    const d2 = qx(background.concat(c1), c1.length > 0, c2);
+    const d1 = qx(background.concat(d2), d2.length > 0, c1);
+    return d1.concat(d2);
+  }
+  if (isConsistent(items)) return null;
+  if (!isConsistent(keep([]))) return [];
+  return qx([], false, items.slice());
+}
 
-  // Validate n-ary constraints
-  for (let i = 0; i < csp.naryConstraints.length; i++) {
+// ---------------- Domains ----------------
+//
+// A domain is either an array of values or an integer interval {min, max},
+// bounds included. Wide numeric ranges stay intervals as long as propagation
+// only moves their bounds; constraints that work value by value enumerate them.
+
+function normalizeDomain(dom) {
+  if (Array.isArray(dom)) return dom.slice();
+  if (dom && typeof dom.min === 'number' && typeof dom.max === 'number') {
+    return { min: Math.ceil(dom.min), max: Math.floor(dom.max) };
+  }
+  return [];
+}
+function isInterval(dom) {
+  return !!dom && !Array.isArray(dom) && typeof dom === 'object';
+}
+function domSize(dom) {
+  if (Array.isArray(dom)) return dom.length;
+  return dom ? Math.max(0, dom.max - dom.min + 1) : 0;
+}
+function domValues(dom) {
+  if (Array.isArray(dom)) return dom;
+  const out = [];
+  for (let v = dom.min; v <= dom.max; v++) out.push(v);
+  return out;
+}
+function domCopy(dom) {
+  return Array.isArray(dom) ? dom.slice() : { min: dom.min, max: dom.max };
+}
+function domMin(dom) {
+  if (isInterval(dom)) return dom.min;
+  let min = Infinity;
+  for (let i = 0; i < dom.length; i++) if (dom[i] < min) min = dom[i];
+  return min;
+}
+function domMax(dom) {
+  if (isInterval(dom)) return dom.max;
+  let max = -Infinity;
+  for (let i = 0; i < dom.length; i++) if (dom[i] > max) max = dom[i];
+  return max;
+}
+// Narrows a numeric domain to [lo, hi]; returns dom itself if nothing changes.
+function narrowDomain(dom, lo, hi) {
+  if (Array.isArray(dom)) {
+    const kept = dom.filter(v => v >= lo && v <= hi);
+    return kept.length === dom.length ? dom : kept;
+  }
+  const min = Math.max(dom.min, Math.ceil(lo)), max = Math.min(dom.max, Math.floor(hi));
+  return min === dom.min && max === dom.max ? dom : { min: min, max: max };
+}
+// Keeps the values passing keep(value); returns dom itself if nothing changes.
+function filterDomain(dom, keep) {
+  const values = domValues(dom), kept = values.filter(keep);
+  return kept.length === values.length ? dom : kept;
+}
+// Whether every value of dom lies in outer.
+function domWithin(dom, outer) {
+  if (isInterval(outer)) return domSize(dom) === 0 || (domMin(dom) >= outer.min && domMax(dom) <= outer.max);
+  if (domSize(dom) > outer.length) return false;
+  return domValues(dom).every(v => outer.indexOf(v) !== -1);
+}
+// dom without the values of other. A wide interval only loses the values at
+// its ends, since removing others would leave holes.
+function domWithout(dom, other) {
+  if (isInterval(dom) && domSize(dom) > SPLIT_SIZE) {
+    let min = dom.min, max = dom.max;
+    while (min <= max && domWithin([min], other)) min = isInterval(other) ? other.max + 1 : min + 1;
+    while (max >= min && domWithin([max], other)) max = isInterval(other) ? other.min - 1 : max - 1;
+    return narrowDomain(dom, min, max);
+  }
+  return filterDomain(dom, v => !domWithin([v], other));
+}
+// Values in before but not in after, or null when before is an interval.
+function removedValues(before, after) {
+  if (isInterval(before)) return null;
+  const remaining = new Set(domValues(after));
+  return before.filter(v => !remaining.has(v));
+}
+
+// ---------------- Domain store ----------------
+//
+// The search keeps one store per run: the current domain of every variable,
+// the set of variables assigned by a decision, and a trail of [variable,
+// previous domain] pairs. Domains are never modified in place, so narrowing a
+// domain only pushes the old one on the trail, and undoing to a mark restores
+// exactly the domains changed since.
+
+function createStore(variables) {
+  return { domains: Object.assign({}, variables), assigned: {}, free: Object.keys(variables).length, trail: [] };
+}
+function setDomain(store, key, dom) {
+  store.trail.push(key, store.domains[key]);
+  store.domains[key] = dom;
+}
+function undo(store, mark) {
+  while (store.trail.length > mark) {
+    const dom = store.trail.pop();
+    store.domains[store.trail.pop()] = dom;
+  }
+}
+function assign(store, key) {
+  store.assigned[key] = true;
+  store.free--;
+}
+function unassign(store, key) {
+  delete store.assigned[key];
+  store.free++;
+}
+
+// Copies of the store's state for callers outside the search: values of the
+// decided variables, and domains of the decided or the remaining ones.
+function assignmentOf(store) {
+  const out = {};
+  for (const key in store.assigned) out[key] = unwrapDomain(store.domains[key]);
+  return out;
+}
+function assignedDomains(store) {
+  const out = {};
+  for (const key in store.assigned) out[key] = domCopy(store.domains[key]);
+  return out;
+}
+function unassignedDomains(store) {
+  const out = {};
+  for (const key in store.domains) if (!store.assigned[key]) out[key] = domCopy(store.domains[key]);
+  return out;
+}
+
+// ---------------- Helpers ----------------
+
+function unwrapAssignment(assigned) {
+  // Unwrap singleton domains to raw values
+  const out = {};
+  for (const key in assigned) out[key] = unwrapDomain(assigned[key]);
+  return out;
+}
+function unwrapDomain(v) {
+  return Array.isArray(v) ? v[0] : isInterval(v) ? v.min : v;
+}
+function readLimit(options) {
+  return options && options.limit != null ? options.limit : Infinity;
+}
+
+// ---------------- Consistency: AC-3 + GAC ----------------
+
+// Propagates to a fixpoint on csp._store, starting from every constraint
+// (changed == null) or from those on the changed variable. Binary arcs
+// [head, tail, predicate(headVal, tailVal)] are revised before n-ary
+// constraints; every narrowed domain is trailed and requeues the arcs leaving
+// it and the n-ary constraints on it. Returns false on a wipeout.
+function propagate(csp, changed) {
+  const arcsFrom = csp._arcsFrom, naryIndex = csp._naryIndex;
+  const arcs = [], nary = [], queued = new Set();
+  let nextArc = 0, nextNary = 0;
+
+  csp._stats.propagations++;
+
+  function enqueue(constraints, queue) {
+    for (let i = 0; i < constraints.length; i++) {
+      if (!queued.has(constraints[i])) { queued.add(constraints[i]); queue.push(constraints[i]); }
+    }
+  }
+  function touched(v) {
+    if (arcsFrom[v]) enqueue(arcsFrom[v], arcs);
+    if (naryIndex[v]) enqueue(naryIndex[v], nary);
+  }
+
+  if (changed == null) {
+    enqueue(csp.constraints, arcs);
+    enqueue(csp.naryConstraints, nary);
+  } else {
+    touched(changed);
+  }
+
+  while (nextArc < arcs.length || nextNary < nary.length) {
+    if (nextArc < arcs.length) {
+      const arc = arcs[nextArc++];
+      queued.delete(arc);
+      const revised = reviseArc(arc, csp);
+      if (revised === FAILURE) {
+        recordFailure(csp, arc);
+        return false;
+      }
+      if (revised) touched(arc[1]);
+      continue;
+    }
+
+    const C = nary[nextNary++];
+    queued.delete(C);
+    // Constraints with their own propagator narrow the domains themselves
+    const narrowed = typeof C.propagate === 'function' ? applyPropagator(C, csp) : reviseBySupport(C, csp);
+    if (narrowed === FAILURE) {
+      recordFailure(csp, C);
+      return false;
+    }
+    for (let i = 0; i < narrowed.length; i++) touched(narrowed[i]);
+  }
+  return true;
+}
+
+// Removes the tail values no head value supports. Returns whether the tail
+// changed, or FAILURE if it is now empty.
+function reviseArc(arc, csp) {
+  const [head, tail, predicate, name] = arc;
+  const store = csp._store, stats = csp._stats;
+  const tv = store.domains[tail];
+  stats.ac3Revisions++;
+  const headValues = domValues(store.domains[head]);
+  const validTail = filterDomain(tv, t => headValues.some(h => predicate(h, t)));
+  if (validTail === tv) return false;
+  const size = domSize(validTail);
+  stats.valuesPruned += domSize(tv) - size;
+  if (csp._trace) {
+    traceRecord(csp, {
+      type: 'revise', source: 'ac3', constraint: [head, tail], name: name, variable: tail,
+      removed: removedValues(tv, validTail), size: size
+    });
+  }
+  setDomain(store, tail, validTail);
+  if (size === 0) {
+    traceRecord(csp, { type: 'wipeout', source: 'ac3', constraint: [head, tail], variable: tail });
+    return FAILURE;
+  }
+  return true;
+}
+
+// Var -> binary arcs with that variable as head
+function buildArcIndex(constraints) {
+  const index = {};
+  for (let i = 0; i < constraints.length; i++) {
+    const head = constraints[i][0];
+    (index[head] = index[head] || []).push(constraints[i]);
+  }
+  return index;
+}
+
+// Build var -> list of n-ary constraints
+function buildNaryIndex(naryConstraints) {
+  const index = {};
+  for (let i = 0; i < naryConstraints.length; i++) {
+    const C = naryConstraints[i];
+    if (!C || !Array.isArray(C.vars)) continue;
+    for (let j = 0; j < C.vars.length; j++) {
+      const v = C.vars[j];
+      if (!index[v]) index[v] = [];
+      if (index[v].indexOf(C) === -1) index[v].push(C);
+    }
+  }
+  return index;
+}
+
+// Generic revision: keep the values that extend to a tuple satisfying the
+// predicate. Returns the variables it narrowed, or FAILURE on a wipeout.
+function reviseBySupport(C, csp) {
+  const store = csp._store, narrowed = [];
+
+  for (let vi = 0; vi < C.vars.length; vi++) {
+    const varName = C.vars[vi];
+    const dom = store.domains[varName];
+
+    const newDom = filterDomain(dom, val => {
+      csp._stats.gacSupportChecks++;
+      return hasSupport(varName, val, C, store.domains);
+    });
+    if (newDom !== dom) {
+      setDomain(store, varName, newDom);
+      if (!recordRevision(C, varName, dom, newDom, csp)) return FAILURE;
+      narrowed.push(varName);
+    }
+  }
+  return narrowed;
+}
+
+// Runs C.propagate(domains) on the store's domains. The propagator replaces
+// the domains it narrows with new arrays or intervals and returns false when
+// the constraint cannot be satisfied; the replaced domains are trailed here.
+function applyPropagator(C, csp) {
+  const store = csp._store;
+  const before = C.vars.map(v => store.domains[v]);
+  csp._stats.propagatorCalls++;
+  const ok = C.propagate(store.domains) !== false;
+
+  const replaced = [];
+  for (let vi = 0; vi < C.vars.length; vi++) {
+    if (store.domains[C.vars[vi]] === before[vi]) continue;
+    store.trail.push(C.vars[vi], before[vi]);
+    replaced.push(vi);
+  }
+
+  const narrowed = [];
+  for (let i = 0; i < replaced.length; i++) {
+    const varName = C.vars[replaced[i]], dom = before[replaced[i]], newDom = store.domains[varName];
+    if (domSize(newDom) === domSize(dom) || narrowed.indexOf(varName) !== -1) continue;
+    if (!recordRevision(C, varName, dom, newDom, csp)) return FAILURE;
+    narrowed.push(varName);
+  }
+  return ok ? narrowed : FAILURE;
+}
+
+// Stats and trace for one n-ary domain reduction; false if the domain is now empty.
+function recordRevision(C, varName, dom, newDom, csp) {
+  const size = domSize(newDom);
+  csp._stats.valuesPruned += domSize(dom) - size;
+  if (csp._trace) {
+    const constraint = csp.naryConstraints.indexOf(C);
+    traceRecord(csp, {
+      type: 'revise', source: 'gac', constraint: constraint, name: C.name, propagator: C.type,
+      variable: varName, removed: removedValues(dom, newDom), size: size
+    });
+    if (size === 0) traceRecord(csp, { type: 'wipeout', source: 'gac', constraint: constraint, variable: varName });
+  }
+  return size > 0;
+}
+
+// Robust hasSupport: checks if focusVar=focusVal can be extended to satisfy C.predicate
+function hasSupport(focusVar, focusVal, C, variables) {
+  // Prepare the list of other variables that have defined, non-empty domains
+  const others = [];
+  for (let i = 0; i < C.vars.length; i++) {
+    const v = C.vars[i];
+    if (v === focusVar) continue;
+    const dom = variables[v];
+    if (!dom) return false;                     // missing variable => no support
+    if (domSize(dom) === 0) return false;       // empty domain => no support
+    others.push(v);
+  }
+
+  // Sort by domain size
+  others.sort((a, b) => domSize(variables[a]) - domSize(variables[b]));
+
+  // DFS over cartesian product of others' domains
+  const order = [focusVar].concat(others);
+  const domains = [ [focusVal] ].concat(others.map(v => domValues(variables[v])));
+
+  const assign = {};
+  function dfs(i) {
+    if (i === order.length) {
+      try {
+        return !!C.predicate(assign);
+      } catch (e) {
+        rethrowWorkerScope(e);
+        return false;
+      }
+    }
+    const vname = order[i];
+    const dom = domains[i] || [];
+    for (let k = 0; k < dom.length; k++) {
+      assign[vname] = dom[k];
+      if (dfs(i + 1)) return true;
+    }
+    delete assign[vname];
+    return false;
+  }
+  return dfs(0);
+}
+
+// ---------------- Global constraints ----------------
+//
+// Builders for common constraints over many variables. Each returns an entry
+// for naryConstraints whose propagate(variables) narrows domains directly,
+// instead of the cartesian support search propagation otherwise falls back to.
+
+const LINEAR_OPS = {
+  '=': (a, b) => a === b, '==': (a, b) => a === b, '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b
+};
+
+// All variables take pairwise distinct values (Régin's matching-based filtering).
+CSP.allDifferent = function allDifferent(vars) {
+  const names = vars.map(String);
+  return {
+    type: 'allDifferent',
+    vars: names,
+    predicate: assign => new Set(names.map(v => assign[v])).size === names.length,
+    propagate: variables => propagateAllDifferent(names, variables)
+  };
+};
+
+// sum(vars) op k, where op is one of =, !=, <, <=, >, >=.
+CSP.sum = function sum(vars, op, k) {
+  return Object.assign(CSP.linear(vars.map(() => 1), vars, op, k), { type: 'sum' });
+};
+
+// coeffs[0] * vars[0] + coeffs[1] * vars[1] + ... op k, with bounds reasoning.
+CSP.linear = function linear(coeffs, vars, op, k) {
+  const names = vars.map(String);
+  const compare = LINEAR_OPS[op];
+  if (!compare) throw new Error('Unknown linear operator "' + op + '"');
+  if (coeffs.length !== names.length) throw new Error('linear needs one coefficient per variable');
+  return {
+    type: 'linear',
+    vars: names,
+    coeffs: coeffs.slice(),
+    op: op,
+    k: k,
+    predicate: assign => {
+      let total = 0;
+      for (let i = 0; i < names.length; i++) total += coeffs[i] * assign[names[i]];
+      return compare(total, k);
+    },
+    propagate: variables => propagateLinear(names, coeffs, op, k, variables)
+  };
+};
+
+// The values of vars, in order, form one of the listed tuples.
+CSP.table = function table(vars, tuples) {
+  const names = vars.map(String);
+  return {
+    type: 'table',
+    vars: names,
+    tuples: tuples.map(t => t.slice()),
+    predicate: assign => tuples.some(t => t.every((val, i) => val === assign[names[i]])),
+    propagate: variables => propagateTable(names, tuples, variables)
+  };
+};
+
+// array[index] = value, where array lists variable names and index is 0-based.
+CSP.element = function element(index, array, value) {
+  const idx = String(index), names = array.map(String), val = String(value);
+  return {
+    type: 'element',
+    vars: [idx].concat(names, [val]),
+    index: idx,
+    array: names,
+    value: val,
+    predicate: assign => {
+      const i = assign[idx];
+      return i >= 0 && i < names.length && assign[names[i]] === assign[val];
+    },
+    propagate: variables => propagateElement(idx, names, val, variables)
+  };
+};
+
+// x * y = z over numbers, with bounds reasoning.
+CSP.times = function times(x, y, z) {
+  const a = String(x), b = String(y), c = String(z);
+  return {
+    type: 'times',
+    vars: [a, b, c],
+    predicate: assign => assign[a] * assign[b] === assign[c],
+    propagate: variables => propagateTimes(a, b, c, variables)
+  };
+};
+
+function propagateAllDifferent(names, variables) {
+  const n = names.length;
+
+  // Bipartite graph: variable x -> indices of the values in its domain
+  const valueIndex = new Map(), values = [];
+  const doms = names.map(v => domValues(variables[v]));
+  const adj = doms.map(dom => dom.map(val => {
+    let j = valueIndex.get(val);
+    if (j === undefined) {
+      j = values.length;
+      valueIndex.set(val, j);
+      values.push(val);
+    }
+    return j;
+  }));
+  const m = values.length;
+  if (m < n) return false;
+
+  // Maximum matching by augmenting paths; every variable must be matched
+  const matchVar = new Array(n).fill(-1), matchVal = new Array(m).fill(-1);
+  function augment(x, seen) {
+    for (let k = 0; k < adj[x].length; k++) {
+      const j = adj[x][k];
+      if (seen[j]) continue;
+      seen[j] = 1;
+      if (matchVal[j] === -1 || augment(matchVal[j], seen)) {
+        matchVar[x] = j;
+        matchVal[j] = x;
+        return true;
+      }
+    }
+    return false;
+  }
+  for (let x = 0; x < n; x++) {
+    if (!augment(x, new Uint8Array(m))) return false;
+  }
+
+  // Residual graph over nodes 0..n-1 (variables) and n..n+m-1 (values):
+  // matched edges run variable -> value, the others value -> variable.
+  const out = [];
+  for (let i = 0; i < n + m; i++) out.push([]);
+  for (let x = 0; x < n; x++) {
+    for (let k = 0; k < adj[x].length; k++) {
+      const j = adj[x][k];
+      if (matchVar[x] === j) out[x].push(n + j);
+      else out[n + j].push(x);
+    }
+  }
+
+  // Edges on an even alternating path from a free value are consistent...
+  const reached = new Uint8Array(n + m), stack = [];
+  for (let j = 0; j < m; j++) {
+    if (matchVal[j] === -1) { reached[n + j] = 1; stack.push(n + j); }
+  }
+  while (stack.length) {
+    const u = stack.pop();
+    for (let k = 0; k < out[u].length; k++) {
+      const w = out[u][k];
+      if (!reached[w]) { reached[w] = 1; stack.push(w); }
+    }
+  }
+
+  // ...and so are edges on an even alternating cycle, i.e. inside one SCC.
+  const comp = stronglyConnectedComponents(out);
+
+  for (let x = 0; x < n; x++) {
+    const dom = doms[x];
+    const kept = dom.filter((_, k) => {
+      const j = adj[x][k];
+      return matchVar[x] === j || reached[n + j] || comp[x] === comp[n + j];
+    });
+    if (kept.length !== dom.length) variables[names[x]] = kept;
+  }
+  return true;
+}
+
+// Tarjan's algorithm; returns the component id of every node.
+function stronglyConnectedComponents(out) {
+  const N = out.length;
+  const index = new Array(N).fill(-1), low = new Array(N).fill(0), comp = new Array(N).fill(-1);
+  const onStack = new Uint8Array(N), stack = [];
+  let counter = 0, components = 0;
+  function connect(v) {
+    index[v] = low[v] = counter++;
+    stack.push(v);
+    onStack[v] = 1;
+    for (let k = 0; k < out[v].length; k++) {
+      const w = out[v][k];
+      if (index[w] === -1) {
+        connect(w);
+        low[v] = Math.min(low[v], low[w]);
+      } else if (onStack[w]) {
+        low[v] = Math.min(low[v], index[w]);
+      }
+    }
+    if (low[v] === index[v]) {
+      let w;
+      do {
+        w = stack.pop();
+        onStack[w] = 0;
+        comp[w] = components;
+      } while (w !== v);
+      components++;
+    }
+  }
+  for (let v = 0; v < N; v++) if (index[v] === -1) connect(v);
+  return comp;
+}
+
+// Bounds reasoning: each term must fit between k and the extreme sums of the
+// others. Interval domains only have their bounds moved.
+function propagateLinear(names, coeffs, op, k, variables) {
+  const n = names.length, lo = new Array(n), hi = new Array(n);
+  let sumLo = 0, sumHi = 0;
+  function termBounds(i) {
+    const dom = variables[names[i]];
+    const a = coeffs[i] * domMin(dom), b = coeffs[i] * domMax(dom);
+    lo[i] = coeffs[i] === 0 ? 0 : Math.min(a, b);
+    hi[i] = coeffs[i] === 0 ? 0 : Math.max(a, b);
+  }
+  for (let i = 0; i < n; i++) {
+    if (!domSize(variables[names[i]])) return false;
+    termBounds(i);
+    sumLo += lo[i];
+    sumHi += hi[i];
+  }
+
+  for (let i = 0; i < n; i++) {
+    const restLo = sumLo - lo[i], restHi = sumHi - hi[i];
+    const dom = variables[names[i]], c = coeffs[i];
+    let kept;
+    switch (op) {
+      case '=': case '==': kept = narrowTerm(dom, c, k - restHi, false, k - restLo, false); break;
+      case '<=': kept = narrowTerm(dom, c, -Infinity, false, k - restLo, false); break;
+      case '<': kept = narrowTerm(dom, c, -Infinity, false, k - restLo, true); break;
+      case '>=': kept = narrowTerm(dom, c, k - restHi, false, Infinity, false); break;
+      case '>': kept = narrowTerm(dom, c, k - restHi, true, Infinity, false); break;
+      case '!=':
+        // Only decidable once every other term is fixed
+        if (restLo !== restHi) continue;
+        kept = excludeTerm(dom, c, k - restLo);
+        break;
+    }
+    if (kept === dom) continue;
+    if (!domSize(kept)) return false;
+    variables[names[i]] = kept;
+    sumLo -= lo[i];
+    sumHi -= hi[i];
+    termBounds(i);
+    sumLo += lo[i];
+    sumHi += hi[i];
+  }
+  return true;
+}
+
+// Narrows x so that c * x lies between tLo and tHi (each bound strict or not).
+function narrowTerm(dom, c, tLo, loStrict, tHi, hiStrict) {
+  if (!isInterval(dom) || c === 0) {
+    return filterDomain(dom, v => {
+      const t = c * v;
+      return (loStrict ? t > tLo : t >= tLo) && (hiStrict ? t < tHi : t <= tHi);
+    });
+  }
+  let lo = tLo / c, hi = tHi / c;
+  if (c < 0) {
+    [lo, hi] = [hi, lo];
+    [loStrict, hiStrict] = [hiStrict, loStrict];
+  }
+  const min = loStrict ? Math.floor(lo) + 1 : Math.ceil(lo);
+  const max = hiStrict ? Math.ceil(hi) - 1 : Math.floor(hi);
+  return narrowDomain(dom, min, max);
+}
+
+// Removes the x with c * x = t. Intervals can only lose it at a bound; a value
+// inside is left in place and caught once x itself is fixed.
+function excludeTerm(dom, c, t) {
+  if (!isInterval(dom) || c === 0) return filterDomain(dom, v => c * v !== t);
+  const x = t / c;
+  if (x === dom.min) return { min: dom.min + 1, max: dom.max };
+  if (x === dom.max) return { min: dom.min, max: dom.max - 1 };
+  return dom;
+}
+
+// Bounds reasoning for x * y = z: z within the products of the bounds of x and
+// y, and each factor within z divided by the other when that excludes zero.
+function propagateTimes(x, y, z, variables) {
+  function bounds(v) {
+    return { min: domMin(variables[v]), max: domMax(variables[v]) };
+  }
+  function narrow(v, range) {
+    if (!range) return true;
+    const dom = variables[v], kept = narrowDomain(dom, range[0], range[1]);
+    if (kept !== dom) variables[v] = kept;
+    return domSize(kept) > 0;
+  }
+  if (![x, y, z].every(v => domSize(variables[v]))) return false;
+  if (!narrow(z, productBounds(bounds(x), bounds(y)))) return false;
+
+  // A product other than zero needs factors other than zero
+  const bz = bounds(z);
+  if (bz.min > 0 || bz.max < 0) {
+    for (const v of [x, y]) {
+      const dom = variables[v], kept = withoutZero(dom);
+      if (kept === dom) continue;
+      if (!domSize(kept)) return false;
+      variables[v] = kept;
+    }
+  }
+  return narrow(x, quotientBounds(bz, bounds(y))) && narrow(y, quotientBounds(bz, bounds(x)));
+}
+
+function productBounds(a, b) {
+  const p = [a.min * b.min, a.min * b.max, a.max * b.min, a.max * b.max];
+  return [Math.min.apply(null, p), Math.max.apply(null, p)];
+}
+// Bounds of z / y, or null when y's range straddles zero.
+function quotientBounds(z, y) {
+  if (y.min <= 0 && y.max >= 0) return null;
+  const q = [z.min / y.min, z.min / y.max, z.max / y.min, z.max / y.max];
+  return [Math.min.apply(null, q), Math.max.apply(null, q)];
+}
+function withoutZero(dom) {
+  if (!isInterval(dom)) return filterDomain(dom, v => v !== 0);
+  if (dom.min === 0) return { min: 1, max: dom.max };
+  if (dom.max === 0) return { min: dom.min, max: -1 };
+  return dom;
+}
+
+// Keeps the tuples still allowed by every domain and projects them back.
+function propagateTable(names, tuples, variables) {
+  const n = names.length;
+  const allowed = names.map(v => new Set(domValues(variables[v])));
+  const supported = names.map(() => new Set());
+  let any = false;
+  for (let t = 0; t < tuples.length; t++) {
+    const tuple = tuples[t];
+    let valid = true;
+    for (let i = 0; i < n && valid; i++) valid = allowed[i].has(tuple[i]);
+    if (!valid) continue;
+    any = true;
+    for (let i = 0; i < n; i++) supported[i].add(tuple[i]);
+  }
+  if (!any) return false;
+  for (let i = 0; i < n; i++) {
+    const dom = variables[names[i]];
+    if (supported[i].size === domSize(dom)) continue;
+    variables[names[i]] = filterDomain(dom, v => supported[i].has(v));
+  }
+  return true;
+}
+
+function propagateElement(idx, names, val, variables) {
+  const values = new Set(domValues(variables[val]));
+  const indices = filterDomain(variables[idx], i =>
+    Number.isInteger(i) && i >= 0 && i < names.length && domValues(variables[names[i]]).some(v => values.has(v))
+  );
+  if (!domSize(indices)) return false;
+  variables[idx] = indices;
+
+  const reachable = new Set();
+  domValues(indices).forEach(i => domValues(variables[names[i]]).forEach(v => reachable.add(v)));
+  const kept = filterDomain(variables[val], v => reachable.has(v));
+  variables[val] = kept;
+
+  // A fixed index ties the chosen array variable to the value variable
+  if (domSize(indices) === 1) {
+    const target = names[domValues(indices)[0]], allowed = new Set(domValues(kept));
+    variables[target] = filterDomain(variables[target], v => allowed.has(v));
+  }
+  return true;
+}
+
+// ---------------- Heuristics ----------------
+//
+// problem.heuristics = {variable, value, seed} picks the branching order.
+// variable is 'mrv' (default: smallest domain first), 'mrvDegree' (ties broken
+// by the most constraints on other unassigned variables), 'domWdeg' (smallest
+// domain over the summed weight of those constraints, where a constraint's
+// weight counts the wipeouts it caused), 'input' (declaration order), 'random',
+// or a function(unassigned, assignment) returning a variable name. value is
+// 'lcv' (default: least constraining value, probed with a full propagation per
+// value), 'min', 'max', 'random', 'none' (domain order), or a
+// function(variable, values, assignment) returning the values to try in order.
+// seed makes the random strategies reproducible.
+
+const VARIABLE_HEURISTICS = ['mrv', 'mrvDegree', 'domWdeg', 'input', 'random'],
+      VALUE_HEURISTICS = ['lcv', 'min', 'max', 'random', 'none'];
+
+function selectUnassignedVariable(csp) {
+  const strategy = csp.heuristics.variable, store = csp._store, domains = store.domains;
+  if (typeof strategy === 'function') {
+    const key = strategy(unassignedDomains(store), assignmentOf(store));
+    if (!Object.prototype.hasOwnProperty.call(domains, key) || store.assigned[key]) {
+      throw new Error('Variable heuristic returned "' + key + '", which is not an unassigned variable');
+    }
+    return key;
+  }
+  const keys = csp._order.filter(k => !store.assigned[k]);
+  if (!keys.length) return null;
+  if (strategy === 'input') return keys[0];
+  if (strategy === 'random') return keys[Math.floor(csp._random() * keys.length)];
+  if (strategy === 'domWdeg') {
+    return minBy(keys, k => domSize(domains[k]) / Math.max(weightedDegree(k, csp, true), 1), csp);
+  }
+  if (strategy === 'mrvDegree') {
+    let minLen = Infinity;
+    for (let i = 0; i < keys.length; i++) minLen = Math.min(minLen, domSize(domains[keys[i]]));
+    return minBy(keys.filter(k => domSize(domains[k]) === minLen), k => -weightedDegree(k, csp, false), csp);
+  }
+  return minBy(keys, k => domSize(domains[k]), csp);
+}
+
+// The key with the lowest score. Ties go to the first such key, or to a random
+// one when the search randomizes tie-breaking.
+function minBy(keys, score, csp) {
+  let best = [], bestScore = Infinity;
+  for (let i = 0; i < keys.length; i++) {
+    const s = score(keys[i]);
+    if (!best.length || s < bestScore) { best = [keys[i]]; bestScore = s; }
+    else if (s === bestScore) best.push(keys[i]);
+  }
+  if (best.length > 1 && csp._randomTies) return best[Math.floor(csp._random() * best.length)];
+  return best[0];
+}
+
+// Number of constraints between key and other unassigned variables, each
+// counted with its failure weight if weighted (dom/wdeg).
+function weightedDegree(key, csp, weighted) {
+  const scopes = csp._scopes[key] || [], assigned = csp._store.assigned;
+  let degree = 0;
+  for (let i = 0; i < scopes.length; i++) {
+    const constraint = scopes[i][0], vars = scopes[i][1];
+    if (!vars.some(v => v !== key && !assigned[v])) continue;
+    degree += weighted ? csp._weights.get(constraint) || 1 : 1;
+  }
+  return degree;
+}
+
+// Var -> [constraint, vars] for every binary arc and n-ary constraint on it.
+function buildScopeIndex(csp) {
+  const index = {};
+  function add(constraint, vars) {
+    for (let i = 0; i < vars.length; i++) (index[vars[i]] = index[vars[i]] || []).push([constraint, vars]);
+  }
+  csp.constraints.forEach(c => add(c, [c[0], c[1]]));
+  csp.naryConstraints.forEach(C => add(C, C.vars));
+  return index;
+}
+
+// dom/wdeg learns from failures: each wipeout adds one to the weight of the
+// constraint that caused it.
+function recordFailure(csp, constraint) {
+  if (csp._weights) csp._weights.set(constraint, (csp._weights.get(constraint) || 1) + 1);
+}
+
+function orderValues(nextKey, csp) {
+  const strategy = csp.heuristics.value;
+  const values = domValues(csp._store.domains[nextKey]).slice();
+  if (typeof strategy === 'function') {
+    const ordered = strategy(nextKey, values, assignmentOf(csp._store));
+    if (!Array.isArray(ordered)) throw new Error('Value heuristic for "' + nextKey + '" did not return an array');
+    return ordered;
+  }
+  if (values.length <= 1) return values;
+  switch (strategy) {
+    case 'none': return values;
+    case 'min': return values.sort(compareValues);
+    case 'max': return values.sort((a, b) => compareValues(b, a));
+    case 'random': return shuffle(values, csp._random);
+    default: return leastConstrainingValues(values, nextKey, csp);
+  }
+}
+
+// Which half of a split interval to try first: the upper one for 'max', either
+// for 'random', otherwise the lower one.
+function orderHalves(halves, csp) {
+  const strategy = csp.heuristics.value;
+  if (strategy === 'max' || (strategy === 'random' && csp._random() < 0.5)) return halves.reverse();
+  return halves;
+}
+
+// Probes each value with a full propagation and tries first the ones that
+// leave the most values in the other domains.
+function leastConstrainingValues(values, nextKey, csp) {
+  const store = csp._store, score = Object.create(null);
+
+  for (let i = 0; i < values.length; i++) {
+    const val = values[i];
+    const mark = store.trail.length;
+    setDomain(store, nextKey, [val]);
+
+    csp._probing = true;
+    const ok = propagate(csp, nextKey);
+    csp._probing = false;
+    if (!ok) {
+      score[val] = -Infinity; // worst score (eliminated)
+    } else {
+      let sum = 0;
+      for (const k in store.domains) sum += domSize(store.domains[k]);
+      score[val] = sum; // larger remaining search => try later
+    }
+    undo(store, mark);
+  }
+
+  // Sort descending by score (fail-most-first), tie-break by value stable
+  values.sort((a, b) => (score[b] - score[a]));
+  return values;
+}
+
+// Numbers by value, anything else by its string form.
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const sa = String(a), sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function shuffle(values, random) {
+  for (let i = values.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const t = values[i]; values[i] = values[j]; values[j] = t;
+  }
+  return values;
+}
+
+// Small seeded generator (mulberry32) so random strategies can be replayed.
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// The same generator and shuffle for code built on this file (the puzzle
+// generators), so a seed gives the same sequence everywhere.
+CSP.seededRandom = seededRandom;
+CSP.shuffle = shuffle;
+
+// ---------------- Validation and normalization ----------------
+
+function normalizeProblem(csp) {
+  const out = {
+    variables: {},
+    constraints: [],
+    naryConstraints: [],
+    softConstraints: [],
+    timeStep: csp.timeStep || 1,
+    cb: csp.cb,
+    objective: typeof csp.objective === 'function' ? csp.objective : null,
+    bound: typeof csp.bound === 'function' ? csp.bound : null,
+    bounds: csp.bounds && typeof csp.bounds === 'object' ? Object.assign({}, csp.bounds) : null,
+    maximize: !!csp.maximize || csp.minimize === false,
+    heuristics: Object.assign({ variable: 'mrv', value: 'lcv' }, csp.heuristics)
+  };
+  if (out.heuristics.seed == null) out.heuristics.seed = Math.floor(Math.random() * 4294967296);
+  // Clone variables defensively and ensure arrays or {min, max} intervals
+  for (const k in csp.variables || {}) {
+    out.variables[k] = normalizeDomain(csp.variables[k]);
+  }
+  // Binary constraints: expect [head, tail, predicate, name?, flags?]. Endpoints are
+  // keyed like the variables object keys them, so [1, 2] and "1,2" name one variable.
+  // Soft constraints of both kinds become {vars, holds(values), weight} checks.
+  if (Array.isArray(csp.constraints)) {
+    csp.constraints.forEach((c, i) => {
+      if (!isBinaryConstraint(c)) return;
+      const flags = constraintFlags(c), weight = softWeight(flags);
+      const arc = [String(c[0]), String(c[1])].concat(c.slice(2, flags ? -1 : c.length));
+      if (!weight) return out.constraints.push(arc);
+      const [head, tail, predicate, name] = arc;
+      out.softConstraints.push({
+        constraint: 'constraints', index: i, name: name, vars: head === tail ? [head] : [head, tail],
+        weight: weight, holds: values => !!predicate(values[head], values[tail])
+      });
+    });
+  }
+  // N-ary constraints: expect { vars: [...], predicate: fn, name?, weight?, soft? }
+  if (Array.isArray(csp.naryConstraints)) {
+    csp.naryConstraints.forEach((C, i) => {
+      if (!isNaryConstraint(C)) return;
+      const vars = C.vars.map(String), weight = softWeight(C);
+      if (!weight) return out.naryConstraints.push(Object.assign({}, C, { vars: vars }));
+      out.softConstraints.push({
+        constraint: 'naryConstraints', index: i, name: C.name, vars: vars,
+        weight: weight, holds: values => !!C.predicate(values)
+      });
+    });
+  }
+  return out;
+}
+
+function isBinaryConstraint(c) {
+  return Array.isArray(c) && c.length >= 3 && typeof c[2] === 'function';
+}
+function isNaryConstraint(C) {
+  return !!C && Array.isArray(C.vars) && typeof C.predicate === 'function';
+}
+
+function validateProblem(csp) {
+  const varsSet = new Set(Object.keys(csp.variables));
+
+  // Ensure all domains are arrays or finite intervals
+  for (const v in csp.variables) {
+    const dom = csp.variables[v];
+    if (!Array.isArray(dom) && !isInterval(dom)) {
+      throw new Error('Variable "' + v + '" domain is not an array');
+    }
+    if (isInterval(dom) && !(isFinite(dom.min) && isFinite(dom.max))) {
+      throw new Error('Variable "' + v + '" interval domain needs a finite min and max');
+    }
+  }
+
+  // Heuristics are built-in names or functions
+  const h = csp.heuristics;
+  if (typeof h.variable !== 'function' && VARIABLE_HEURISTICS.indexOf(h.variable) === -1) {
+    throw new Error('Unknown variable heuristic "' + h.variable + '"');
+  }
+  if (typeof h.value !== 'function' && VALUE_HEURISTICS.indexOf(h.value) === -1) {
+    throw new Error('Unknown value heuristic "' + h.value + '"');
+  }
+
+  // Per-variable bounds name variables and are functions
+  for (const v in csp.bounds) {
+    if (!varsSet.has(v)) throw new Error('bounds names unknown variable "' + v + '"');
+    if (typeof csp.bounds[v] !== 'function') throw new Error('bounds.' + v + ' is not a function');
+  }
+
+  // Validate binary constraints
+  for (let i = 0; i < csp.constraints.length; i++) {
+    const c = csp.constraints[i];
+    const head = c[0], tail = c[1], pred = c[2];
+    if (!varsSet.has(head)) throw new Error('Binary constraint references unknown variable "' + head + '"');
+    if (!varsSet.has(tail)) throw new Error('Binary constraint references unknown variable "' + tail + '"');
+    if (typeof pred !== 'function') throw new Error('Binary constraint missing predicate function');
+  }
+
+  // Validate n-ary constraints
+  for (let i = 0; i < csp.naryConstraints.length; i++) {
     const C = csp.naryConstraints[i];
     if (!Array.isArray(C.vars) || C.vars.length === 0) {
       throw new Error('N-ary constraint missing vars array');
@@ -378,8 +2213,1009 @@ function validateProblem(csp) {
       throw new Error('N-ary constraint missing predicate function');
     }
   }
+
+  for (let i = 0; i < csp.softConstraints.length; i++) {
+    const missing = csp.softConstraints[i].vars.find(v => !varsSet.has(v));
+    if (missing !== undefined) throw new Error('Soft constraint references unknown variable "' + missing + '"');
+  }
+}
+
+// ---------------- Linting ----------------
+//
+// lintProblem reports what normalizeProblem would silently drop, what
+// validateProblem would reject, and what is legal but probably a mistake.
+// Each diagnostic is {severity, code, message} plus where it applies:
+// constraint ('constraints' or 'naryConstraints') and index into the problem
+// as given, and/or variable. Errors:
+//   bad-domain            a domain that is neither an array nor a finite interval
+//   empty-domain          a variable with no values
+//   malformed-constraint  a constraint normalizeProblem drops
+//   unknown-variable      a constraint on an undeclared variable
+//   empty-scope           an n-ary constraint on no variables
+//   bad-weight            a soft constraint whose weight is not a positive number
+//   predicate-throws      a predicate that throws on sampled values (hasSupport
+//                         would count those values as unsupported)
+// Warnings:
+//   unsatisfiable         arc consistency at the root empties a domain; the
+//                         model is well formed, solve just returns FAILURE
+//   duplicate-arc         the same predicate twice on the same head and tail
+//   one-way-arc           an arc without any reverse arc, so assigning its tail
+//                         never prunes its head
+//   asymmetric-pair       arcs both ways that disagree on sampled values, as
+//                         with [a, b, lt] and [b, a, lt]
+//   unconstrained-variable
+//   unreachable-value     values arc consistency removes before any decision
+// Soft binary constraints are checks rather than arcs, and skip the three arc
+// warnings.
+
+const LINT_SAMPLES = 8; // values sampled per domain when trying predicates
+
+function lintProblem(problem) {
+  const out = [];
+  const report = (severity, code, message, where) =>
+    out.push(Object.assign({ severity: severity, code: code, message: message }, where));
+  const variables = (problem && problem.variables) || {};
+  const domains = {}, constrained = new Set();
+
+  for (const v in variables) {
+    const dom = variables[v];
+    if (!Array.isArray(dom) && !(dom && typeof dom.min === 'number' && typeof dom.max === 'number')) {
+      report('error', 'bad-domain', 'Variable "' + v + '" domain is not an array or {min, max} interval',
+             { variable: v });
+      continue;
+    }
+    domains[v] = normalizeDomain(dom);
+    if (isInterval(domains[v]) && !(isFinite(domains[v].min) && isFinite(domains[v].max))) {
+      report('error', 'bad-domain', 'Variable "' + v + '" interval domain needs a finite min and max', { variable: v });
+      delete domains[v];
+    } else if (domSize(domains[v]) === 0) {
+      report('error', 'empty-domain', 'Variable "' + v + '" has an empty domain', { variable: v });
+    }
+  }
+
+  // Binary constraints, grouped by unordered pair for the symmetry checks
+  const pairs = new Map();
+  ((problem && problem.constraints) || []).forEach((c, i) => {
+    const where = { constraint: 'constraints', index: i };
+    if (!isBinaryConstraint(c)) {
+      report('error', 'malformed-constraint', 'constraints[' + i + '] is not [head, tail, predicate]', where);
+      return;
+    }
+    const head = String(c[0]), tail = String(c[1]);
+    const unknown = [head, tail].filter(v => !(v in variables));
+    unknown.forEach(v => {
+      report('error', 'unknown-variable', 'constraints[' + i + '] references unknown variable "' + v + '"', where);
+    });
+    if (unknown.length) return;
+    constrained.add(head).add(tail);
+    const soft = lintWeight(constraintFlags(c), 'constraints[' + i + ']', where, report);
+    if (soft === null) return;
+    if (soft) {
+      lintPredicate(c, head, tail, domains, 'constraints[' + i + ']', where, report);
+      return;
+    }
+    const key = head < tail ? head + '\0' + tail : tail + '\0' + head;
+    if (!pairs.has(key)) pairs.set(key, []);
+    const arcs = pairs.get(key);
+    const twin = arcs.find(a => a.head === head && a.tail === tail && a.predicate === c[2]);
+    if (twin) {
+      report('warning', 'duplicate-arc', 'constraints[' + i + '] repeats constraints[' + twin.index + ']', where);
+      return;
+    }
+    arcs.push({ head: head, tail: tail, predicate: c[2], index: i });
+    lintPredicate(c, head, tail, domains, 'constraints[' + i + ']', where, report);
+  });
+  pairs.forEach(arcs => {
+    const [first] = arcs;
+    if (first.head === first.tail) return;
+    const where = { constraint: 'constraints', index: first.index };
+    if (arcs.every(a => a.head === first.head)) {
+      report('warning', 'one-way-arc', 'constraints[' + first.index + '] (' + first.head + ' -> ' + first.tail +
+             ') has no reverse arc, so assigning ' + first.tail + ' never prunes ' + first.head, where);
+      return;
+    }
+    const disagreement = pairDisagreement(first.head, first.tail, arcs, domains);
+    if (disagreement) {
+      report('warning', 'asymmetric-pair', 'The arcs between ' + first.head + ' and ' + first.tail +
+             ' disagree on ' + JSON.stringify(disagreement), Object.assign({ sample: disagreement }, where));
+    }
+  });
+
+  ((problem && problem.naryConstraints) || []).forEach((C, i) => {
+    const where = { constraint: 'naryConstraints', index: i };
+    if (!isNaryConstraint(C)) {
+      report('error', 'malformed-constraint', 'naryConstraints[' + i + '] is not {vars, predicate}', where);
+      return;
+    }
+    const vars = C.vars.map(String);
+    if (!vars.length) {
+      report('error', 'empty-scope', 'naryConstraints[' + i + '] has no variables', where);
+      return;
+    }
+    const unknown = vars.filter(v => !(v in variables));
+    unknown.forEach(v => {
+      report('error', 'unknown-variable', 'naryConstraints[' + i + '] references unknown variable "' + v + '"', where);
+    });
+    if (unknown.length) return;
+    vars.forEach(v => constrained.add(v));
+    if (lintWeight(C, 'naryConstraints[' + i + ']', where, report) === null) return;
+    if (vars.some(v => !domains[v])) return;
+    // Variable j takes its ((k + j) mod n)th sample in the kth assignment
+    const samples = vars.map(v => sampleValues(domains[v]));
+    for (let k = 0; k < LINT_SAMPLES; k++) {
+      const sample = {};
+      vars.forEach((v, j) => { sample[v] = samples[j][(k + j) % samples[j].length]; });
+      if (!tryPredicate(() => C.predicate(sample), sample, 'naryConstraints[' + i + ']', where, report)) break;
+    }
+  });
+
+  for (const v in variables) {
+    if (!constrained.has(v)) {
+      report('warning', 'unconstrained-variable', 'Variable "' + v + '" is in no constraint', { variable: v });
+    }
+  }
+
+  // Root propagation is only meaningful, and only safe, on a problem the
+  // solver would accept as written.
+  if (!out.some(d => d.severity === 'error')) lintRoot(problem, report);
+  return out;
 }
 
+// Up to LINT_SAMPLES values spread evenly over the domain.
+function sampleValues(dom) {
+  const size = domSize(dom);
+  if (size <= LINT_SAMPLES) return domValues(dom).slice();
+  const out = [];
+  for (let i = 0; i < LINT_SAMPLES; i++) {
+    const k = Math.round(i * (size - 1) / (LINT_SAMPLES - 1));
+    out.push(isInterval(dom) ? dom.min + k : dom[k]);
+  }
+  return out;
+}
+
+// Tries a binary predicate on every pair of sampled values.
+function lintPredicate(c, head, tail, domains, label, where, report) {
+  if (!domains[head] || !domains[tail]) return;
+  const x = sampleValues(domains[head]), y = sampleValues(domains[tail]);
+  for (let a = 0; a < x.length; a++) {
+    for (let b = 0; b < y.length; b++) {
+      const sample = { [head]: x[a], [tail]: y[b] };
+      if (!tryPredicate(() => c[2](x[a], y[b]), sample, label, where, report)) return;
+    }
+  }
+}
+
+// Whether the constraint is soft, or null (reported) when its weight is unusable.
+function lintWeight(flags, label, where, report) {
+  try {
+    return softWeight(flags) > 0;
+  } catch (e) {
+    report('error', 'bad-weight', label + ' has weight ' + JSON.stringify(flags.weight) +
+           ', not a positive number', where);
+    return null;
+  }
+}
+
+function tryPredicate(call, sample, label, where, report) {
+  try {
+    call();
+    return true;
+  } catch (e) {
+    report('error', 'predicate-throws', label + ' throws on ' + JSON.stringify(sample) + ': ' + e.message,
+           Object.assign({ sample: sample }, where));
+    return false;
+  }
+}
+
+// A sampled pair of values that the arcs head -> tail accept and the arcs
+// tail -> head reject, or the other way round.
+function pairDisagreement(head, tail, arcs, domains) {
+  if (!domains[head] || !domains[tail]) return null;
+  const x = sampleValues(domains[head]), y = sampleValues(domains[tail]);
+  const holds = (a, hv, tv) => {
+    try {
+      return a.head === head ? !!a.predicate(hv, tv) : !!a.predicate(tv, hv);
+    } catch (e) {
+      return false;
+    }
+  };
+  for (let a = 0; a < x.length; a++) {
+    for (let b = 0; b < y.length; b++) {
+      const forward = arcs.filter(arc => arc.head === head).every(arc => holds(arc, x[a], y[b]));
+      const backward = arcs.filter(arc => arc.head !== head).every(arc => holds(arc, x[a], y[b]));
+      if (forward !== backward) return { [head]: x[a], [tail]: y[b] };
+    }
+  }
+  return null;
+}
+
+// Propagates once at the root, as a search would, and reports what it removes.
+function lintRoot(problem, report) {
+  const csp = normalizeProblem(problem);
+  csp._arcsFrom = buildArcIndex(csp.constraints);
+  csp._naryIndex = buildNaryIndex(csp.naryConstraints);
+  csp._stats = resetStats({});
+  csp._store = createStore(csp.variables);
+  try {
+    if (!propagate(csp, null)) {
+      const emptied = Object.keys(csp.variables).filter(v => domSize(csp._store.domains[v]) === 0);
+      report('warning', 'unsatisfiable', 'Arc consistency empties the domain of ' + emptied.join(', ') +
+             ': the problem has no solution', { variable: emptied[0] });
+      return;
+    }
+  } catch (e) {
+    return; // a throwing predicate, already reported
+  }
+  for (const v in csp.variables) {
+    const before = csp.variables[v], after = csp._store.domains[v];
+    if (after === before) continue;
+    const removed = domSize(before) - domSize(after);
+    const values = removedValues(before, after);
+    report('warning', 'unreachable-value', 'Variable "' + v + '" can never take ' +
+           (values ? JSON.stringify(values) : removed + ' of its values'), { variable: v, values: values });
+  }
+}
+
+// options.strict: refuse to search a problem with any diagnostic. Warnings
+// count too, so a puzzle whose clues make values unreachable fails; with
+// strict: 'errors' only errors do.
+function checkStrict(problem, options) {
+  if (!options || !options.strict) return;
+  const diagnostics = lintProblem(problem)
+    .filter(d => options.strict !== 'errors' || d.severity === 'error');
+  if (!diagnostics.length) return;
+  const lines = diagnostics.map(d => '  ' + d.severity + ' ' + d.code + ': ' + d.message);
+  const error = new Error('Problem failed lint:\n' + lines.join('\n'));
+  error.diagnostics = diagnostics;
+  throw error;
+}
+
+// ---------------- Model builder ----------------
+//
+// CSP.model() builds the problem object step by step:
+//
+//   const m = CSP.model()
+//     .variables(['CA', 'OR', 'NV'], ['red', 'green', 'blue'])
+//     .binary('CA', 'OR', CSP.relations.neq)
+//     .binary('CA', 'NV', (a, b) => a !== b, { symmetric: true })
+//     .allDifferent(['CA', 'OR', 'NV']);
+//   CSP.solve(m.build());
+//
+// binary adds both arcs of a constraint when it can: the same predicate both
+// ways for a symmetric relation (the neq and eq relations, or any predicate
+// with {symmetric: true}), the converse relation for lt, le, gt and ge, and a
+// single arc otherwise. Arcs already present are not added again, so listing
+// a pair twice, or in both directions, is harmless. With a weight or soft: true
+// in the options, binary, nary and allDifferent add a soft constraint instead
+// (see "Soft constraints"), and binary adds it once. The model also answers
+// questions about the constraint graph: degree, neighbors and components.
+
+CSP.model = function model() {
+  const variables = {}, arcs = [], nary = [];
+  const arcSet = new Map(); // "head\0tail" -> predicates already arced
+  const globals = new Set(); // allDifferent scopes already added
+
+  function addArc(head, tail, predicate, name) {
+    const key = head + '\0' + tail;
+    const seen = arcSet.get(key) || new Set();
+    if (seen.has(predicate)) return;
+    seen.add(predicate);
+    arcSet.set(key, seen);
+    arcs.push(name != null ? [head, tail, predicate, name] : [head, tail, predicate]);
+  }
+
+  // The {weight, soft} flags among the options, or null for a hard constraint
+  function softFlags(options) {
+    const flags = options ? copyFlags(options, {}) : null;
+    return flags && softWeight(flags) ? flags : null;
+  }
+
+  // Variable -> set of variables it shares a constraint with
+  function graph() {
+    const adjacent = {};
+    for (const v in variables) adjacent[v] = new Set();
+    const link = vars => vars.forEach(a => vars.forEach(b => {
+      if (a !== b && adjacent[a] && adjacent[b]) adjacent[a].add(b);
+    }));
+    arcs.forEach(c => link([c[0], c[1]]));
+    nary.forEach(C => link(C.vars));
+    return adjacent;
+  }
+
+  const builder = {
+    variable(name, domain) {
+      variables[String(name)] = normalizeDomain(domain);
+      return builder;
+    },
+    variables(names, domain) {
+      names.forEach(name => builder.variable(name, domain));
+      return builder;
+    },
+    // options: {symmetric, name, weight, soft}
+    binary(a, b, relation, options) {
+      if (typeof relation !== 'function') throw new Error('binary needs a predicate function');
+      const head = String(a), tail = String(b), name = options && options.name;
+      const flags = softFlags(options);
+      if (flags) {
+        arcs.push([head, tail, relation].concat(name != null ? [name] : [], [flags]));
+        return builder;
+      }
+      addArc(head, tail, relation, name);
+      let converse = null;
+      for (const key in CSP.relations) {
+        if (CSP.relations[key] === relation) converse = CSP.relations[CONVERSE[key]];
+      }
+      if (options && options.symmetric) converse = relation;
+      if (converse) addArc(tail, head, converse, name);
+      return builder;
+    },
+    // nary(vars, predicate, {name, weight, soft}), or nary(constraint) for a
+    // global constraint object such as CSP.sum(...)
+    nary(vars, predicate, options) {
+      if (!Array.isArray(vars)) {
+        nary.push(vars);
+        return builder;
+      }
+      if (typeof predicate !== 'function') throw new Error('nary needs a predicate function');
+      const C = Object.assign({ vars: vars.map(String), predicate: predicate }, softFlags(options));
+      if (options && options.name != null) C.name = options.name;
+      nary.push(C);
+      return builder;
+    },
+    allDifferent(vars, options) {
+      const flags = softFlags(options);
+      const key = vars.map(String).sort().join('\0');
+      if (!flags && globals.has(key)) return builder;
+      if (!flags) globals.add(key);
+      const C = Object.assign(CSP.allDifferent(vars), flags);
+      if (options && options.name != null) C.name = options.name;
+      nary.push(C);
+      return builder;
+    },
+
+    // The problem for CSP.solve and the other entry points. Each call returns
+    // a fresh object, so properties such as objective can be set on it.
+    build() {
+      for (const c of arcs) {
+        if (!(c[0] in variables) || !(c[1] in variables)) {
+          throw new Error('Constraint ' + c[0] + ' -> ' + c[1] + ' references an undeclared variable');
+        }
+      }
+      for (const C of nary) {
+        const missing = C.vars.find(v => !(String(v) in variables));
+        if (missing !== undefined) throw new Error('Constraint references undeclared variable "' + missing + '"');
+      }
+      const out = { variables: {}, constraints: arcs.slice(), naryConstraints: nary.slice() };
+      for (const v in variables) out.variables[v] = domCopy(variables[v]);
+      return out;
+    },
+
+    // Number of variables each variable shares a constraint with.
+    degree(name) {
+      const adjacent = graph()[String(name)];
+      return adjacent ? adjacent.size : 0;
+    },
+    degrees() {
+      const adjacent = graph(), out = {};
+      for (const v in adjacent) out[v] = adjacent[v].size;
+      return out;
+    },
+    neighbors(name) {
+      const adjacent = graph()[String(name)];
+      return adjacent ? Array.from(adjacent) : [];
+    },
+    // Groups of variables linked by constraints, in declaration order. Each
+    // can be solved on its own.
+    components() {
+      const adjacent = graph(), seen = new Set(), out = [];
+      for (const start in adjacent) {
+        if (seen.has(start)) continue;
+        const component = [start], queue = [start];
+        seen.add(start);
+        while (queue.length) {
+          adjacent[queue.shift()].forEach(v => {
+            if (seen.has(v)) return;
+            seen.add(v);
+            component.push(v);
+            queue.push(v);
+          });
+        }
+        out.push(component);
+      }
+      return out;
+    }
+  };
+  return builder;
+};
+
+// ---------------- Incremental solving ----------------
+//
+// CSP.createSolver(problem) holds a problem that changes a little at a time,
+// as in a puzzle UI where the user fills cells:
+//
+//   const solver = CSP.createSolver(sudoku);
+//   solver.assume([1, 1], 5);
+//   solver.possibleValues([1, 2]); // what consistency still allows there
+//   solver.solve();
+//
+// The solver keeps one store, propagated to a fixpoint. A change that can only
+// remove solutions (a constraint added, a value assumed, a domain narrowed) is
+// applied on top of it: it records a trail mark and propagates from what it
+// touched. Taking such a change back unwinds the store to its mark and applies
+// the changes made after it again. Removing a constraint of the problem the
+// store was built from, or widening a domain, rebuilds the store the next time
+// it is needed. solve() searches from the propagated domains.
+
+CSP.createSolver = function createSolver(problem) {
+  problem = problem || {};
+  const declared = {}, constraints = [], nary = [], assumptions = new Map();
+  for (const v in problem.variables || {}) declared[v] = normalizeDomain(problem.variables[v]);
+  (problem.constraints || []).forEach(c => constraints.push(c));
+  (problem.naryConstraints || []).forEach(C => nary.push(C));
+  // {csp, baseArcs, baseNary, baseFailed, failed, changes: [{type, mark, failed, ...}]}
+  let live = null;
+
+  // The store for the current problem, built from scratch when there is none.
+  function ensure() {
+    if (live) return live;
+    const csp = normalizeProblem({ variables: declared, constraints: constraints, naryConstraints: nary });
+    validateProblem(csp);
+    csp._arcsFrom = buildArcIndex(csp.constraints);
+    csp._naryIndex = buildNaryIndex(csp.naryConstraints);
+    csp._stats = resetStats({});
+    csp._store = createStore(csp.variables);
+    const failed = !propagate(csp, null);
+    live = {
+      csp: csp, baseArcs: csp.constraints.slice(), baseNary: csp.naryConstraints.slice(),
+      baseFailed: failed, failed: failed, changes: []
+    };
+    assumptions.forEach((value, name) => applyChange({ type: 'assume', name: name, value: value }));
+    return live;
+  }
+
+  function applyChange(change) {
+    const csp = live.csp, store = csp._store;
+    change.mark = store.trail.length;
+    change.failed = false;
+    live.changes.push(change);
+    let from = null;
+    if (change.type === 'constraint') {
+      const normalized = normalizeProblem(Array.isArray(change.constraint)
+        ? { constraints: [change.constraint] } : { naryConstraints: [change.constraint] });
+      change.arc = normalized.constraints[0];
+      change.nary = normalized.naryConstraints[0];
+      if (change.arc) {
+        csp.constraints.push(change.arc);
+        (csp._arcsFrom[change.arc[0]] = csp._arcsFrom[change.arc[0]] || []).push(change.arc);
+        from = change.arc[0];
+      } else if (change.nary) {
+        csp.naryConstraints.push(change.nary);
+        change.nary.vars.forEach(v => {
+          const on = csp._naryIndex[v] = csp._naryIndex[v] || [];
+          if (on.indexOf(change.nary) === -1) on.push(change.nary);
+        });
+        from = change.nary.vars[0];
+      }
+      // Soft constraints only matter to solve()
+    } else {
+      const dom = store.domains[change.name];
+      const narrowed = change.type === 'assume' ? assumedDomain(dom, change.value) : domIntersect(dom, change.domain);
+      if (narrowed !== dom) {
+        setDomain(store, change.name, narrowed);
+        from = change.name;
+      }
+    }
+    if (live.failed || from === null) return;
+    if (domSize(store.domains[from]) === 0 || !propagate(csp, from)) change.failed = live.failed = true;
+  }
+
+  // Takes back the change at index k, and applies the ones after it again.
+  function undoChange(k) {
+    const csp = live.csp, later = live.changes.splice(k);
+    undo(csp._store, later[0].mark);
+    later.shift();
+    csp.constraints = live.baseArcs.concat(live.changes.filter(ch => ch.arc).map(ch => ch.arc));
+    csp.naryConstraints = live.baseNary.concat(live.changes.filter(ch => ch.nary).map(ch => ch.nary));
+    csp._arcsFrom = buildArcIndex(csp.constraints);
+    csp._naryIndex = buildNaryIndex(csp.naryConstraints);
+    live.failed = live.baseFailed || live.changes.some(ch => ch.failed);
+    later.forEach(applyChange);
+  }
+
+  function undoWhere(test) {
+    if (!live) return;
+    const k = live.changes.findIndex(test);
+    if (k !== -1) undoChange(k);
+  }
+
+  function variableName(name) {
+    const key = String(name);
+    if (!(key in declared)) throw new Error('Unknown variable "' + key + '"');
+    return key;
+  }
+
+  // The problem with its variables narrowed to domains, or as given
+  function current(domains) {
+    const out = Object.assign({}, problem, {
+      variables: {}, constraints: constraints.slice(), naryConstraints: nary.slice()
+    });
+    for (const v in declared) {
+      out.variables[v] = domains ? domCopy(domains[v])
+        : domCopy(assumptions.has(v) ? assumedDomain(declared[v], assumptions.get(v)) : declared[v]);
+    }
+    return out;
+  }
+
+  const solver = {
+    // A binary constraint [head, tail, predicate, ...] or an n-ary one
+    // {vars, predicate, ...}, soft or hard, on declared variables.
+    addConstraint(constraint) {
+      const binary = isBinaryConstraint(constraint);
+      if (!binary && !isNaryConstraint(constraint)) {
+        throw new Error('addConstraint needs [head, tail, predicate] or {vars, predicate}');
+      }
+      (binary ? [constraint[0], constraint[1]] : constraint.vars).forEach(variableName);
+      softWeight(constraintFlags(constraint));
+      (binary ? constraints : nary).push(constraint);
+      if (live) applyChange({ type: 'constraint', constraint: constraint });
+      return solver;
+    },
+    // Takes out a constraint, the same object that was added or given.
+    removeConstraint(constraint) {
+      const list = Array.isArray(constraint) ? constraints : nary, i = list.indexOf(constraint);
+      if (i === -1) throw new Error('removeConstraint: the constraint is not in the solver');
+      list.splice(i, 1);
+      if (!live) return solver;
+      const k = live.changes.findIndex(ch => ch.constraint === constraint);
+      if (k !== -1) undoChange(k);
+      else live = null;
+      return solver;
+    },
+    // Replaces the domain of a variable, or declares a new one.
+    setDomain(name, domain) {
+      const key = String(name);
+      if (!Array.isArray(domain) && !(domain && typeof domain.min === 'number' && typeof domain.max === 'number')) {
+        throw new Error('setDomain needs an array or a {min, max} interval');
+      }
+      const dom = normalizeDomain(domain);
+      undoWhere(ch => ch.type === 'domain' && ch.name === key);
+      declared[key] = dom;
+      if (live && key in live.csp.variables && domWithin(dom, live.csp.variables[key])) {
+        applyChange({ type: 'domain', name: key, domain: dom });
+      } else {
+        live = null;
+      }
+      return solver;
+    },
+    // Fixes a variable to a value until retract(name).
+    assume(name, value) {
+      const key = variableName(name);
+      undoWhere(ch => ch.type === 'assume' && ch.name === key);
+      assumptions.set(key, value);
+      if (live) applyChange({ type: 'assume', name: key, value: value });
+      return solver;
+    },
+    // Drops the assumption on a variable, or every assumption.
+    retract(name) {
+      const keys = name === undefined ? Array.from(assumptions.keys()) : [String(name)];
+      keys.forEach(key => {
+        if (!assumptions.delete(key)) return;
+        undoWhere(ch => ch.type === 'assume' && ch.name === key);
+      });
+      return solver;
+    },
+    // The values propagation leaves a variable (every variable's without a
+    // name): a superset of the values its solutions use. All are empty once the
+    // changes contradict each other.
+    possibleValues(name) {
+      const state = ensure(), domains = state.csp._store.domains;
+      const valuesOf = v => state.failed ? [] : domCopy(domains[v]);
+      if (name !== undefined) return valuesOf(variableName(name));
+      const out = {};
+      for (const v in declared) out[v] = valuesOf(v);
+      return out;
+    },
+    // False once propagation has proven the problem has no solution.
+    consistent() {
+      return !ensure().failed;
+    },
+    // The current problem as a plain problem object, assumptions included as
+    // one-value domains.
+    problem() {
+      return current(null);
+    },
+    // CSP.solve on the current problem, from the propagated domains.
+    solve(options) {
+      const state = ensure();
+      return CSP.solve(state.failed ? current(null) : current(state.csp._store.domains), options);
+    }
+  };
+  return solver;
+};
+
+// The values of dom equal to value: the same value, or for arrays and other
+// objects, one with the same JSON.
+function assumedDomain(dom, value) {
+  if (isInterval(dom)) return Number.isInteger(value) ? narrowDomain(dom, value, value) : [];
+  const key = typeof value === 'object' && value !== null ? JSON.stringify(value) : null;
+  return filterDomain(dom, v => v === value || (key !== null && typeof v === 'object' && JSON.stringify(v) === key));
+}
+
+// The values of dom that lie in within; dom itself if that is all of them.
+function domIntersect(dom, within) {
+  if (isInterval(dom) && isInterval(within)) return narrowDomain(dom, within.min, within.max);
+  return filterDomain(dom, v => domWithin([v], within));
+}
+
+// ---------------- JSON problems ----------------
+//
+// fromJSON/toJSON convert between problems and plain data:
+//
+//   { "variables": { "a": [1, 2, 3], "x": { "min": 0, "max": 100 } },
+//     "constraints": [
+//       { "relation": "neq", "vars": ["a", "b"] },
+//       { "relation": "sum", "vars": ["a", "b", "x"], "op": "<=", "k": 10 },
+//       { "relation": "table", "vars": ["a", "b"], "tuples": [[1, 2], [2, 3]] } ],
+//     "heuristics": { "variable": "domWdeg" } }
+//
+// Binary relations (CSP.relations) become a pair of arcs, one per direction;
+// the other relations are the global constraints, with the parameters their
+// builders take. Any constraint may carry a "name", and a "weight" or
+// "soft": true to make it soft; a soft binary relation stays a single check.
+
+// Named binary relations, each with the relation that holds in the other
+// direction. Constraints that use these functions can be written as JSON.
+CSP.relations = {
+  eq: (a, b) => a === b,
+  neq: (a, b) => a !== b,
+  lt: (a, b) => a < b,
+  le: (a, b) => a <= b,
+  gt: (a, b) => a > b,
+  ge: (a, b) => a >= b
+};
+const CONVERSE = { eq: 'eq', neq: 'neq', lt: 'gt', le: 'ge', gt: 'lt', ge: 'le' };
+
+// The parameters of each global constraint, in the order its builder takes them.
+const GLOBAL_PARAMS = {
+  allDifferent: ['vars'],
+  sum: ['vars', 'op', 'k'],
+  linear: ['coeffs', 'vars', 'op', 'k'],
+  table: ['vars', 'tuples'],
+  element: ['index', 'array', 'value'],
+  times: ['vars']
+};
+
+CSP.fromJSON = function fromJSON(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!data || typeof data !== 'object') throw new Error('A JSON problem must be an object');
+  const problem = { variables: {}, constraints: [], naryConstraints: [] };
+  for (const v in data.variables || {}) problem.variables[v] = normalizeDomain(data.variables[v]);
+  (data.constraints || []).forEach((spec, i) => {
+    if (!spec || typeof spec.relation !== 'string') throw new Error('Constraint ' + i + ' has no relation');
+    const relation = CSP.relations[spec.relation];
+    if (!relation) return problem.naryConstraints.push(globalFromJSON(spec));
+    if (!Array.isArray(spec.vars) || spec.vars.length !== 2) {
+      throw new Error('Relation "' + spec.relation + '" needs exactly two vars');
+    }
+    const [a, b] = spec.vars.map(String), name = spec.name != null ? [spec.name] : [];
+    const flags = copyFlags(spec, {});
+    if (softWeight(flags)) return problem.constraints.push([a, b, relation].concat(name, [flags]));
+    problem.constraints.push([a, b, relation].concat(name));
+    problem.constraints.push([b, a, CSP.relations[CONVERSE[spec.relation]]].concat(name));
+  });
+  if (data.heuristics) problem.heuristics = Object.assign({}, data.heuristics);
+  return problem;
+};
+
+// The JSON form of a problem, as a plain object (JSON.stringify it to store
+// it). Throws if a constraint uses a function that is not a named relation, or
+// if the problem has an objective, since neither can be written as data.
+CSP.toJSON = function toJSON(problem) {
+  const names = new Map(), out = { variables: {}, constraints: [] };
+  for (const name in CSP.relations) names.set(CSP.relations[name], name);
+  for (const v in problem.variables || {}) out.variables[v] = normalizeDomain(problem.variables[v]);
+
+  const written = new Set();
+  (problem.constraints || []).forEach(c => {
+    const relation = names.get(c[2]);
+    if (!relation) throw new Error('Constraint ' + c[0] + ' -> ' + c[1] + ' does not use a named relation');
+    const flags = constraintFlags(c), soft = softWeight(flags) > 0, name = c.length > (flags ? 4 : 3) ? c[3] : null;
+    const spec = { relation: relation, vars: [c[0], c[1]] };
+    if (name != null) spec.name = name;
+    if (soft) return out.constraints.push(copyFlags(flags, spec));
+    // The reverse arc of a pair written already adds nothing
+    if (written.has(JSON.stringify([c[1], c[0], CONVERSE[relation]]))) return;
+    written.add(JSON.stringify([c[0], c[1], relation]));
+    out.constraints.push(spec);
+  });
+  (problem.naryConstraints || []).forEach(C => {
+    if (!C || !GLOBAL_PARAMS[C.type]) {
+      throw new Error('Constraint ' + (C && C.name || 'over ' + (C && C.vars)) + ' is not a global constraint');
+    }
+    out.constraints.push(globalToJSON(C));
+  });
+  if (typeof problem.objective === 'function') throw new Error('An objective cannot be written as JSON');
+  if (problem.heuristics) {
+    for (const key in problem.heuristics) {
+      if (typeof problem.heuristics[key] === 'function') {
+        throw new Error('A custom ' + key + ' heuristic cannot be written as JSON');
+      }
+    }
+    out.heuristics = Object.assign({}, problem.heuristics);
+  }
+  return out;
+};
+
+function globalToJSON(C) {
+  const spec = { relation: C.type };
+  GLOBAL_PARAMS[C.type].forEach(param => { spec[param] = C[param]; });
+  if (C.name != null) spec.name = C.name;
+  return copyFlags(C, spec);
+}
+function globalFromJSON(spec) {
+  const params = GLOBAL_PARAMS[spec.relation];
+  if (!params) throw new Error('Unknown relation "' + spec.relation + '"');
+  const args = params.map(param => {
+    if (spec[param] === undefined) throw new Error('Relation "' + spec.relation + '" needs ' + param);
+    return spec[param];
+  });
+  // times(x, y, z) takes its variables one by one
+  const C = spec.relation === 'times' ? CSP.times.apply(null, args[0]) : CSP[spec.relation].apply(null, args);
+  if (spec.name != null) C.name = spec.name;
+  return copyFlags(spec, C);
+}
+
+// ---------------- Parallel portfolio ----------------
+//
+// solveParallel(problem, {workers, portfolio, signal, stats}) runs several
+// differently configured searches at once, in worker_threads under Node and
+// Web Workers in browsers, and resolves with the first solution any of them
+// finds; or 'FAILURE' once a complete search proves there is none, or every
+// local search gives up. Each portfolio entry holds solve options (restarts,
+// seed, engine, ...) and optionally heuristics that override the problem's.
+// Workers get a copy of the problem: global constraints travel in their JSON
+// form, and every other function (predicates, objective, bound, custom
+// heuristics) is sent as source code, so it must not use variables from
+// around it.
+
+const DEFAULT_PORTFOLIO = [
+  {},
+  { heuristics: { variable: 'domWdeg', value: 'none' }, restarts: 'luby', seed: 1 },
+  { heuristics: { variable: 'mrvDegree', value: 'min' }, randomize: true, seed: 2 },
+  { heuristics: { value: 'random' }, restarts: 'geometric', seed: 3 }
+];
+
+// Where workers load this file from, found while it is first loaded.
+const WORKER_SCRIPT = typeof __filename === 'string' ? __filename
+  : typeof document === 'object' && document.currentScript ? document.currentScript.src : null;
+
+CSP.solveParallel = function solveParallel(problem, options) {
+  options = options || {};
+  const portfolio = options.portfolio || DEFAULT_PORTFOLIO, signal = options.signal;
+  const count = Math.max(1, options.workers || Math.min(portfolio.length, hardwareThreads()));
+  const configs = [];
+  for (let i = 0; i < count; i++) {
+    const config = Object.assign({}, portfolio[i % portfolio.length]);
+    // Later rounds through the portfolio differ by seed
+    if (i >= portfolio.length) config.seed = (config.seed || 0) + i;
+    configs.push(config);
+  }
+  const isComplete = config => config.engine == null || config.engine === 'backtrack';
+  const stats = options.stats || (options.structured ? {} : null);
+  // A FAILURE comes from a complete search whenever the portfolio has one
+  const finish = result => options.structured
+    ? reportViolations(problem, structuredResult(result, stats, configs.some(isComplete))) : result;
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortReason(signal));
+    const shipped = serializeProblem(problem);
+    if (!canSpawnWorkers()) {
+      configs.length = 1;
+      return resolve(finish(solveShipped(shipped, configs[0], stats)));
+    }
+
+    const workers = [];
+    let pending = count, settled = false, unknown = null;
+    function settle(fn, value) {
+      if (settled) return;
+      settled = true;
+      workers.forEach(w => w.terminate());
+      if (signal) signal.removeEventListener('abort', onAbort);
+      fn(value);
+    }
+    function onAbort() { settle(reject, abortReason(signal)); }
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    configs.forEach((config, i) => {
+      const worker = spawnWorker(message => {
+        if (message.error) return settle(reject, new Error(message.error));
+        const stopped = message.solution && message.solution.status === UNKNOWN;
+        if (!stopped && (message.solution !== FAILURE || isComplete(config))) {
+          if (stats) Object.assign(stats, message.stats, { worker: i });
+          return settle(resolve, finish(message.solution));
+        }
+        // Searches stopped by a limit only answer once no other search can
+        if (stopped && !unknown) unknown = message.solution;
+        if (--pending === 0) settle(resolve, finish(unknown || FAILURE));
+      }, err => settle(reject, err));
+      workers.push(worker);
+      worker.post({ cspjs: 'solve', problem: shipped, config: config });
+    });
+  });
+};
+
+// A structured-cloneable copy of a problem.
+function serializeProblem(problem) {
+  const out = { variables: {}, constraints: [], naryConstraints: [] };
+  for (const v in problem.variables || {}) out.variables[v] = normalizeDomain(problem.variables[v]);
+  (problem.constraints || []).filter(isBinaryConstraint).forEach(c => {
+    const flags = constraintFlags(c), name = c.length > (flags ? 4 : 3) ? [c[3]] : [];
+    out.constraints.push([c[0], c[1], functionSource(c[2], 'binary constraint')]
+      .concat(name, flags ? [copyFlags(flags, {})] : []));
+  });
+  (problem.naryConstraints || []).filter(isNaryConstraint).forEach(C => {
+    if (GLOBAL_PARAMS[C.type]) return out.naryConstraints.push(globalToJSON(C));
+    const spec = { name: C.name, vars: C.vars, predicate: functionSource(C.predicate, 'n-ary constraint') };
+    if (typeof C.propagate === 'function') spec.propagate = functionSource(C.propagate, 'propagator');
+    out.naryConstraints.push(copyFlags(C, spec));
+  });
+  ['objective', 'bound'].forEach(key => {
+    if (typeof problem[key] === 'function') out[key] = functionSource(problem[key], key);
+  });
+  if (problem.bounds) {
+    out.bounds = {};
+    for (const v in problem.bounds) out.bounds[v] = functionSource(problem.bounds[v], 'bounds.' + v);
+  }
+  out.maximize = problem.maximize;
+  out.minimize = problem.minimize;
+  if (problem.heuristics) {
+    out.heuristics = Object.assign({}, problem.heuristics);
+    ['variable', 'value'].forEach(key => {
+      const h = out.heuristics[key];
+      if (typeof h === 'function') out.heuristics[key] = functionSource(h, key + ' heuristic');
+    });
+  }
+  return out;
+}
+
+function deserializeProblem(shipped) {
+  const problem = Object.assign({}, shipped);
+  problem.constraints = shipped.constraints.map(c => [c[0], c[1], compileSource(c[2].source)].concat(c.slice(3)));
+  problem.naryConstraints = shipped.naryConstraints.map(spec => {
+    if (spec.relation) return globalFromJSON(spec);
+    const C = {
+      vars: spec.vars,
+      predicate: compileSource(spec.predicate.source),
+      propagate: spec.propagate && compileSource(spec.propagate.source)
+    };
+    if (spec.name != null) C.name = spec.name;
+    return copyFlags(spec, C);
+  });
+  ['objective', 'bound'].forEach(key => {
+    if (shipped[key]) problem[key] = compileSource(shipped[key].source);
+  });
+  if (shipped.bounds) {
+    problem.bounds = {};
+    for (const v in shipped.bounds) problem.bounds[v] = compileSource(shipped.bounds[v].source);
+  }
+  if (shipped.heuristics) {
+    problem.heuristics = Object.assign({}, shipped.heuristics);
+    ['variable', 'value'].forEach(key => {
+      const h = shipped.heuristics[key];
+      if (h && h.source) problem.heuristics[key] = compileSource(h.source);
+    });
+  }
+  return problem;
+}
+
+// A function's source, checked here so that a function that cannot be
+// rebuilt (bound, native or written as a method) fails before any worker runs.
+function functionSource(fn, what) {
+  const source = String(fn);
+  try {
+    compileSource(source);
+  } catch (e) {
+    throw new Error('The ' + what + ' function cannot be sent to a worker: ' + e.message);
+  }
+  return { source: source };
+}
+// A compiled function has lost the variables around its source, and reading
+// one throws a ReferenceError. The catch blocks that count a throwing
+// predicate as unsatisfied would turn that into a wrong UNSAT, so those errors
+// are marked to fail the solve instead. Other errors, a TypeError included,
+// count as unsatisfied as they do outside a worker.
+function compileSource(source) {
+  const fn = new Function('return (' + source + '\n);')();
+  if (typeof fn !== 'function') throw new Error('not a function');
+  return function () {
+    try {
+      return fn.apply(this, arguments);
+    } catch (e) {
+      if (!(e instanceof ReferenceError)) throw e;
+      const lost = new Error('A function sent to a worker failed there (' + e.message +
+                             '); it must not use variables from the code around it');
+      lost.workerScope = true;
+      throw lost;
+    }
+  };
+}
+
+// Rethrows the errors compileSource marks; predicates throw anything else.
+function rethrowWorkerScope(e) {
+  if (e && e.workerScope) throw e;
+}
+
+// Solves a shipped problem with one portfolio entry; runs inside a worker.
+function solveShipped(shipped, config, stats) {
+  const problem = deserializeProblem(shipped);
+  const options = Object.assign({}, config, { stats: stats || {} });
+  if (config.heuristics) problem.heuristics = Object.assign({}, problem.heuristics, config.heuristics);
+  delete options.heuristics;
+  return CSP.solve(problem, options);
+}
+
+function hardwareThreads() {
+  if (typeof navigator === 'object' && navigator.hardwareConcurrency) return navigator.hardwareConcurrency;
+  try {
+    return require('os').cpus().length || 1;
+  } catch (e) {
+    return 1;
+  }
+}
+
+function nodeThreads() {
+  try {
+    return typeof require === 'function' ? require('worker_threads') : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function canSpawnWorkers() {
+  return !!WORKER_SCRIPT && (typeof Worker === 'function' || !!nodeThreads());
+}
+
+// A worker running this file, as {post, terminate}.
+function spawnWorker(onMessage, onError) {
+  const threads = nodeThreads();
+  if (threads) {
+    const worker = new threads.Worker(WORKER_SCRIPT, { workerData: { cspjsWorker: true } });
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', code => { if (code) onError(new Error('Worker stopped with exit code ' + code)); });
+    return { post: message => worker.postMessage(message), terminate: () => worker.terminate() };
+  }
+  const worker = new Worker(WORKER_SCRIPT);
+  worker.onmessage = event => onMessage(event.data);
+  worker.onerror = event => {
+    event.preventDefault();
+    onError(new Error(event.message));
+  };
+  return { post: message => worker.postMessage(message), terminate: () => worker.terminate() };
+}
+
+// Inside a worker started by solveParallel: answer each solve request.
+function answer(message) {
+  if (!message || message.cspjs !== 'solve') return null;
+  try {
+    const stats = {};
+    return { solution: solveShipped(message.problem, message.config, stats), stats: stats };
+  } catch (e) {
+    return { error: e && e.message ? e.message : String(e) };
+  }
+}
+(function listenAsWorker() {
+  const threads = nodeThreads();
+  if (threads && !threads.isMainThread && threads.workerData && threads.workerData.cspjsWorker) {
+    threads.parentPort.on('message', message => threads.parentPort.postMessage(answer(message)));
+  } else if (typeof importScripts === 'function' && typeof self === 'object') {
+    self.addEventListener('message', event => {
+      const reply = answer(event.data);
+      if (reply) self.postMessage(reply);
+    });
+  }
+})();
+
 // ---------------- UMD export ----------------
 
 if (typeof define === 'function' && define.amd) {
@@ -0,0 +1,829 @@
+// formats.js
+// Reads XCSP3 and FlatZinc instances into csp.js problems, and writes
+// solutions back in the format the instance came from.
+//
+// Usage example:
+//   const formats = require('./formats');
+//   const problem = formats.parseFlatZinc(fs.readFileSync('queens.fzn', 'utf8'));
+//   console.log(formats.write(problem, csp.solve(problem)));
+!function() {
+
+const CSP = typeof require === 'function' ? require('./csp') : this.csp;
+const FAILURE = 'FAILURE';
+
+// Unary constraints are applied to the domain directly, listing the values of
+// an interval domain no wider than this; wider ones keep a one-variable constraint.
+const UNARY_LIMIT = 100000;
+
+const formats = {};
+
+// Parses XCSP3 or FlatZinc text, telling them apart by the XML.
+formats.parse = function parse(text) {
+  return /^\s*</.test(text) ? formats.parseXCSP3(text) : formats.parseFlatZinc(text);
+};
+
+// Writes a result of solving a parsed problem in the problem's own format.
+// result is a solution, an array of solutions, or 'FAILURE'. options.complete
+// says whether the search was exhaustive (default true): a FAILURE from an
+// incomplete search is reported as unknown, and with an objective a complete
+// search has proven its last solution optimal.
+formats.write = function write(problem, result, options) {
+  const format = problem.output && problem.output.format;
+  if (format === 'xcsp3') return formats.writeXCSP3(problem, result, options);
+  if (format === 'flatzinc') return formats.writeFlatZinc(problem, result, options);
+  throw new Error('The problem was not read from XCSP3 or FlatZinc');
+};
+
+// ---------------- Building blocks ----------------
+
+// A problem under construction. Predicates are compiled from source text so
+// that they close over nothing and can be sent to workers (solveParallel).
+function newProblem() {
+  return { variables: {}, constraints: [], naryConstraints: [] };
+}
+
+// JS source that reads variable v from an assignment named a.
+function read(v) {
+  return 'a[' + JSON.stringify(v) + ']';
+}
+
+// Adds the constraint that the JS expression src (over a[...] reads of vars)
+// is true, applying it straight to the domain when it has a single variable.
+function addExpression(problem, vars, src, name) {
+  const predicate = new Function('a', 'return !!(' + src + ');');
+  if (vars.length === 0) {
+    if (!predicate({})) addFalse(problem);
+  } else if (vars.length === 1 && !isWide(problem.variables[vars[0]])) {
+    const v = vars[0];
+    problem.variables[v] = values(problem.variables[v]).filter(x => predicate({ [v]: x }));
+  } else {
+    const C = { vars: vars, predicate: predicate };
+    if (name != null) C.name = name;
+    problem.naryConstraints.push(C);
+  }
+}
+
+// A constraint over no variables that does not hold: the problem has no solution.
+function addFalse(problem) {
+  problem.variables['$false'] = [];
+}
+
+function isWide(dom) {
+  return !Array.isArray(dom) && dom.max - dom.min >= UNARY_LIMIT;
+}
+function values(dom) {
+  if (Array.isArray(dom)) return dom.slice();
+  const out = [];
+  for (let x = dom.min; x <= dom.max; x++) out.push(x);
+  return out;
+}
+
+// A domain from sorted values: an interval when they are consecutive.
+function domainOf(list) {
+  const sorted = Array.from(new Set(list)).sort((x, y) => x - y);
+  if (sorted.length > 1 && sorted[sorted.length - 1] - sorted[0] === sorted.length - 1) {
+    return { min: sorted[0], max: sorted[sorted.length - 1] };
+  }
+  return sorted;
+}
+
+// Sets the objective sum(coeffs[i] * vars[i]) + offset, with a bound that adds
+// the best value each unassigned variable's domain still allows.
+function setLinearObjective(problem, coeffs, vars, offset, maximize) {
+  const c = JSON.stringify(coeffs), x = JSON.stringify(vars);
+  problem.objective = new Function('a',
+    'const c = ' + c + ', x = ' + x + ';\n' +
+    'let total = ' + offset + ';\n' +
+    'for (let i = 0; i < x.length; i++) total += c[i] * a[x[i]];\n' +
+    'return total;');
+  problem.bound = new Function('assigned', 'unassigned',
+    'const c = ' + c + ', x = ' + x + ', maximize = ' + !!maximize + ';\n' +
+    'let total = ' + offset + ';\n' +
+    'for (let i = 0; i < x.length; i++) {\n' +
+    '  if (x[i] in assigned) { total += c[i] * assigned[x[i]]; continue; }\n' +
+    '  const d = unassigned[x[i]];\n' +
+    '  const lo = Array.isArray(d) ? Math.min.apply(null, d) : d.min;\n' +
+    '  const hi = Array.isArray(d) ? Math.max.apply(null, d) : d.max;\n' +
+    '  total += (c[i] > 0) === maximize ? c[i] * hi : c[i] * lo;\n' +
+    '}\n' +
+    'return total;');
+  problem.maximize = !!maximize;
+}
+
+// ---------------- XCSP3 ----------------
+//
+// Supported: integer <var> and <array> (with <domain for=...>), <extension>
+// (supports or conflicts, with * in tuples), <intension>, <allDifferent>,
+// <sum> (with coeffs and a condition on a value, a variable or a range),
+// <block> and <group>, and <minimize>/<maximize> of a variable, an expression
+// or a weighted sum.
+
+const XCSP_OPS = { lt: '<', le: '<=', gt: '>', ge: '>=', eq: '=', ne: '!=' };
+
+formats.parseXCSP3 = function parseXCSP3(text) {
+  const instance = child(parseXML(text), 'instance');
+  if (!instance) throw new Error('XCSP3: no <instance> element');
+  const problem = newProblem(), arrays = {}, order = [];
+  problem.output = { format: 'xcsp3', vars: order };
+
+  // Variables
+  const variables = child(instance, 'variables');
+  (variables ? variables.children : []).forEach(el => {
+    if (el.attrs.type && el.attrs.type !== 'integer') {
+      throw new Error('XCSP3: unsupported variable type "' + el.attrs.type + '"');
+    }
+    if (el.name === 'var') {
+      const id = el.attrs.id;
+      problem.variables[id] = el.attrs.as ? problem.variables[el.attrs.as] : parseXCSPDomain(el.text);
+      order.push(id);
+    } else if (el.name === 'array') {
+      const dims = ((el.attrs.size || '').match(/\d+/g) || []).map(Number);
+      if (!dims.length) {
+        throw new Error('XCSP3: <array' + (el.attrs.id != null ? ' id="' + el.attrs.id + '"' : '') + '> needs a size');
+      }
+      const names = cells(el.attrs.id, dims);
+      arrays[el.attrs.id] = dims;
+      const domains = el.children.filter(d => d.name === 'domain');
+      if (!domains.length) names.forEach(v => { problem.variables[v] = parseXCSPDomain(el.text); });
+      domains.forEach(d => {
+        const dom = parseXCSPDomain(d.text);
+        if (d.attrs.for === 'others') {
+          names.forEach(v => { if (!(v in problem.variables)) problem.variables[v] = dom; });
+        } else {
+          expandList(d.attrs.for, arrays, null).forEach(v => { problem.variables[v] = dom; });
+        }
+      });
+      names.forEach(v => { if (v in problem.variables) order.push(v); });
+    } else {
+      throw new Error('XCSP3: unsupported element <' + el.name + '> in <variables>');
+    }
+  });
+  const known = problem.variables;
+  const list = str => expandList(str, arrays, known);
+
+  // Constraints
+  function add(el) {
+    const name = el.attrs.id;
+    switch (el.name) {
+      case 'block':
+        return el.children.forEach(add);
+      case 'group': {
+        const template = el.children[0];
+        return el.children.filter(c => c.name === 'args').forEach(args => {
+          add(instantiate(template, args.text.trim().split(/\s+/)));
+        });
+      }
+      case 'extension': {
+        const vars = list(textOf(el, 'list'));
+        const supports = child(el, 'supports'), conflicts = child(el, 'conflicts');
+        if (!supports && !conflicts) {
+          throw new Error('XCSP3: <extension' + (name != null ? ' id="' + name + '"' : '') +
+                          '> has neither <supports> nor <conflicts>');
+        }
+        const tuples = parseTuples((supports || conflicts).text, vars.length);
+        if (supports && !tuples.some(t => t.indexOf('*') !== -1) && vars.length > 1) {
+          const C = CSP.table(vars, tuples);
+          if (name != null) C.name = name;
+          return problem.naryConstraints.push(C);
+        }
+        const test = vars.map((v, i) => '(t[' + i + '] === "*" || t[' + i + '] === ' + read(v) + ')').join(' && ');
+        const found = JSON.stringify(tuples) + '.some(t => ' + test + ')';
+        return addExpression(problem, vars, supports ? found : '!' + found, name);
+      }
+      case 'intension': {
+        const fn = child(el, 'function');
+        const expr = parseFunctional((fn || el).text);
+        const vars = [];
+        const src = compileFunctional(expr, token => {
+          if (/^-?\d+$/.test(token)) return token;
+          if (!(token in known)) throw new Error('XCSP3: unknown variable "' + token + '"');
+          if (vars.indexOf(token) === -1) vars.push(token);
+          return read(token);
+        });
+        return addExpression(problem, vars, src, name);
+      }
+      case 'allDifferent': {
+        if (child(el, 'except') || el.children.filter(c => c.name === 'list').length > 1) {
+          throw new Error('XCSP3: only a single list is supported in <allDifferent>');
+        }
+        const C = CSP.allDifferent(list(child(el, 'list') ? textOf(el, 'list') : el.text));
+        if (name != null) C.name = name;
+        return problem.naryConstraints.push(C);
+      }
+      case 'sum': {
+        const vars = list(textOf(el, 'list'));
+        const coeffs = numbers(el, 'coeffs', vars);
+        const cond = /^\(\s*(\w+)\s*,\s*(.+?)\s*\)$/.exec(textOf(el, 'condition').trim());
+        if (!cond) throw new Error('XCSP3: cannot read the <sum> condition');
+        const range = /^(-?\d+)\.\.(-?\d+)$/.exec(cond[2]);
+        const linear = (op, k, extra) => {
+          const C = CSP.linear(coeffs.concat(extra ? [-1] : []), vars.concat(extra || []), op, k);
+          if (name != null) C.name = name;
+          problem.naryConstraints.push(C);
+        };
+        if (cond[1] === 'in' && range) {
+          linear('>=', +range[1]);
+          return linear('<=', +range[2]);
+        }
+        if (!XCSP_OPS[cond[1]]) throw new Error('XCSP3: unsupported <sum> operator "' + cond[1] + '"');
+        if (/^-?\d+$/.test(cond[2])) return linear(XCSP_OPS[cond[1]], +cond[2]);
+        return linear(XCSP_OPS[cond[1]], 0, list(cond[2]));
+      }
+      default:
+        throw new Error('XCSP3: unsupported constraint <' + el.name + '>');
+    }
+  }
+  const constraints = child(instance, 'constraints');
+  (constraints ? constraints.children : []).forEach(add);
+
+  // Objective
+  const objectives = child(instance, 'objectives');
+  if (objectives && objectives.children.length) {
+    if (objectives.children.length > 1) throw new Error('XCSP3: only one objective is supported');
+    const goal = objectives.children[0], maximize = goal.name === 'maximize';
+    if (goal.name !== 'minimize' && !maximize) throw new Error('XCSP3: unsupported objective <' + goal.name + '>');
+    const type = goal.attrs.type || (goal.text.trim() in known ? 'variable' : 'expression');
+    if (type === 'sum') {
+      const vars = list(textOf(goal, 'list'));
+      setLinearObjective(problem, numbers(goal, 'coeffs', vars), vars, 0, maximize);
+    } else if (type === 'variable') {
+      setLinearObjective(problem, [1], [goal.text.trim()], 0, maximize);
+    } else if (type === 'expression') {
+      const src = compileFunctional(parseFunctional(goal.text), token => /^-?\d+$/.test(token) ? token : read(token));
+      problem.objective = new Function('a', 'return ' + src + ';');
+      problem.maximize = maximize;
+    } else {
+      throw new Error('XCSP3: unsupported objective type "' + goal.attrs.type + '"');
+    }
+  }
+  return problem;
+};
+
+// Competition-style output: an "s" status line, then for each solution an
+// "o" line with its cost (when there is an objective) and a "v" line with the
+// instantiation.
+formats.writeXCSP3 = function writeXCSP3(problem, result, options) {
+  const complete = !options || options.complete !== false;
+  const solutions = result === FAILURE ? [] : Array.isArray(result) ? result : [result];
+  const vars = problem.output.vars, lines = [];
+  if (!solutions.length) return complete ? 's UNSATISFIABLE' : 's UNKNOWN';
+  lines.push(problem.objective && complete ? 's OPTIMUM FOUND' : 's SATISFIABLE');
+  solutions.forEach(solution => {
+    if (problem.objective) lines.push('o ' + problem.objective(solution));
+    lines.push('v <instantiation type="solution"> <list> ' + vars.join(' ') + ' </list> <values> ' +
+               vars.map(v => solution[v]).join(' ') + ' </values> </instantiation>');
+  });
+  return lines.join('\n');
+};
+
+function parseXCSPDomain(text) {
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 1 && /^-?\d+\.\.-?\d+$/.test(tokens[0])) {
+    const [min, max] = tokens[0].split('..').map(Number);
+    return { min: min, max: max };
+  }
+  const list = [];
+  tokens.forEach(token => {
+    const range = /^(-?\d+)\.\.(-?\d+)$/.exec(token);
+    if (range) for (let x = +range[1]; x <= +range[2]; x++) list.push(x);
+    else if (/^-?\d+$/.test(token)) list.push(+token);
+    else throw new Error('XCSP3: cannot read domain value "' + token + '"');
+  });
+  return Array.from(new Set(list)).sort((x, y) => x - y);
+}
+
+// The names of the cells of an array with the given dimensions: x[0][0], ...
+function cells(id, dims) {
+  let names = [id];
+  dims.forEach(size => {
+    const next = [];
+    names.forEach(prefix => { for (let i = 0; i < size; i++) next.push(prefix + '[' + i + ']'); });
+    names = next;
+  });
+  return names;
+}
+
+// Expands a list of variables such as "x y[] z[0..2][1]" into names. With
+// known, cells that are not variables are left out and unknown names throw.
+function expandList(text, arrays, known) {
+  const out = [];
+  text.trim().split(/\s+/).filter(Boolean).forEach(token => {
+    const m = /^([^[\s]+)((?:\[[^\]]*\])+)$/.exec(token);
+    if (m && arrays[m[1]]) {
+      const dims = arrays[m[1]];
+      let names = [m[1]];
+      m[2].slice(1, -1).split('][').forEach((index, d) => {
+        let from = 0, to = dims[d] - 1;
+        const range = /^(\d+)\.\.(\d+)$/.exec(index);
+        if (range) { from = +range[1]; to = +range[2]; }
+        else if (index !== '') from = to = +index;
+        const next = [];
+        names.forEach(prefix => { for (let i = from; i <= to; i++) next.push(prefix + '[' + i + ']'); });
+        names = next;
+      });
+      names.forEach(v => { if (!known || v in known) out.push(v); });
+    } else if (known && !(token in known)) {
+      throw new Error('XCSP3: unknown variable "' + token + '"');
+    } else {
+      out.push(token);
+    }
+  });
+  return out;
+}
+
+// "(1,2)(2,*)" as [[1, 2], [2, '*']]; a unary table is a plain list of values.
+function parseTuples(text, arity) {
+  if (arity === 1) return parseXCSPDomain(text.replace(/\*/g, '')).map(x => [x]);
+  return (text.match(/\([^)]*\)/g) || []).map(tuple => tuple.slice(1, -1).split(',').map(x => {
+    x = x.trim();
+    return x === '*' ? x : Number(x);
+  }));
+}
+
+// A copy of a <group> template with %0, %1, ... and %... replaced by args.
+function instantiate(template, args) {
+  const fill = text => text
+    .replace(/%\.\.\./g, () => args.slice(maxIndex(template) + 1).join(' '))
+    .replace(/%(\d+)/g, (_, i) => args[i]);
+  const copy = el => ({
+    name: el.name,
+    attrs: el.attrs,
+    text: fill(el.text),
+    children: el.children.map(copy)
+  });
+  return copy(template);
+}
+function maxIndex(el) {
+  let max = -1;
+  (el.text.match(/%\d+/g) || []).forEach(p => { max = Math.max(max, +p.slice(1)); });
+  el.children.forEach(c => { max = Math.max(max, maxIndex(c)); });
+  return max;
+}
+
+// Functional expressions, as in eq(add(x,y),z), into a tree of
+// {op, args} nodes and leaf tokens.
+function parseFunctional(text) {
+  const tokens = text.match(/[^\s(),]+|[(),]/g) || [];
+  let pos = 0;
+  function node() {
+    const token = tokens[pos++];
+    if (token === undefined) throw new Error('XCSP3: unexpected end of expression');
+    if (tokens[pos] !== '(') return token;
+    pos++;
+    const args = [];
+    while (tokens[pos] !== ')') {
+      args.push(node());
+      if (tokens[pos] === ',') pos++;
+      else if (tokens[pos] !== ')') throw new Error('XCSP3: expected "," or ")" in expression');
+    }
+    pos++;
+    return { op: token, args: args };
+  }
+  const tree = node();
+  if (pos !== tokens.length) throw new Error('XCSP3: unexpected "' + tokens[pos] + '" in expression');
+  return tree;
+}
+
+// JS source for an expression tree. Every node is a number; relations and
+// logical operators give 0 or 1, as XCSP3 treats booleans.
+function compileFunctional(node, leaf) {
+  if (typeof node === 'string') return leaf(node);
+  if (node.op === 'set') return '[' + node.args.map(a => compileFunctional(a, leaf)).join(', ') + ']';
+  const a = node.args.map(arg => compileFunctional(arg, leaf));
+  const chain = op => '+(' + a.slice(1).map((x, i) => a[i] + ' ' + op + ' ' + x).join(' && ') + ')';
+  switch (node.op) {
+    case 'neg': return '(-' + a[0] + ')';
+    case 'abs': return 'Math.abs(' + a[0] + ')';
+    case 'add': return '(' + a.join(' + ') + ')';
+    case 'sub': return '(' + a[0] + ' - ' + a[1] + ')';
+    case 'mul': return '(' + a.join(' * ') + ')';
+    case 'div': return 'Math.trunc(' + a[0] + ' / ' + a[1] + ')';
+    case 'mod': return '(' + a[0] + ' % ' + a[1] + ')';
+    case 'sqr': return '(' + a[0] + ' * ' + a[0] + ')';
+    case 'pow': return 'Math.pow(' + a[0] + ', ' + a[1] + ')';
+    case 'min': return 'Math.min(' + a.join(', ') + ')';
+    case 'max': return 'Math.max(' + a.join(', ') + ')';
+    case 'dist': return 'Math.abs(' + a[0] + ' - ' + a[1] + ')';
+    case 'lt': return chain('<');
+    case 'le': return chain('<=');
+    case 'gt': return chain('>');
+    case 'ge': return chain('>=');
+    case 'eq': return chain('===');
+    case 'ne': return '+(' + a[0] + ' !== ' + a[1] + ')';
+    case 'not': return '+!' + a[0];
+    case 'and': return '+(' + a.map(x => '!!' + x).join(' && ') + ')';
+    case 'or': return '+(' + a.map(x => '!!' + x).join(' || ') + ')';
+    case 'xor': return '(' + a.map(x => '+!!' + x).join(' ^ ') + ')';
+    case 'iff': return '+(!' + a[0] + ' === !' + a[1] + ')';
+    case 'imp': return '+(!' + a[0] + ' || !!' + a[1] + ')';
+    case 'if': return '(' + a[0] + ' ? ' + a[1] + ' : ' + a[2] + ')';
+    case 'in': return '+' + a[1] + '.includes(' + a[0] + ')';
+    default: throw new Error('XCSP3: unsupported operator "' + node.op + '"');
+  }
+}
+
+// ---------------- XML ----------------
+
+// Just enough XML for XCSP3: elements, attributes, text, comments and CDATA.
+// Each element is {name, attrs, text, children}.
+function parseXML(text) {
+  const root = { name: '#document', attrs: {}, text: '', children: [] }, stack = [root];
+  const re = new RegExp([
+    /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>/.source,
+    /<!\[CDATA\[([\s\S]*?)\]\]>/.source,
+    /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.source,
+    /([^<]+)|</.source
+  ].join('|'), 'g');
+  let m;
+  while ((m = re.exec(text))) {
+    const top = stack[stack.length - 1];
+    if (m[1] != null) {
+      top.text += m[1];
+    } else if (m[3]) {
+      if (m[2]) {
+        if (top.name !== m[3]) throw new Error('XML: </' + m[3] + '> does not close <' + top.name + '>');
+        stack.pop();
+        continue;
+      }
+      const el = { name: m[3], attrs: {}, text: '', children: [] };
+      (m[4].match(/[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*')/g) || []).forEach(attr => {
+        const eq = attr.indexOf('=');
+        el.attrs[attr.slice(0, eq).trim()] = decodeEntities(attr.slice(eq + 1).trim().slice(1, -1));
+      });
+      top.children.push(el);
+      if (!m[5]) stack.push(el);
+    } else if (m[6] != null) {
+      top.text += decodeEntities(m[6]);
+    } else if (m[0] === '<') {
+      throw new Error('XML: malformed tag at offset ' + m.index);
+    }
+  }
+  if (stack.length > 1) throw new Error('XML: <' + stack[stack.length - 1].name + '> is not closed');
+  return root;
+}
+function decodeEntities(text) {
+  return text.replace(/&(lt|gt|amp|quot|apos);/g, (_, e) => ({ lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" })[e]);
+}
+function child(el, name) {
+  return el.children.find(c => c.name === name) || null;
+}
+// The numbers in child element name, or a 1 per variable without it
+function numbers(el, name, vars) {
+  return child(el, name) ? textOf(el, name).trim().split(/\s+/).map(Number) : vars.map(() => 1);
+}
+function textOf(el, name) {
+  const c = child(el, name);
+  if (!c) throw new Error('XCSP3: <' + el.name + '> needs a <' + name + '>');
+  return c.text;
+}
+
+// ---------------- FlatZinc ----------------
+//
+// Supported: int and bool parameters, variables and arrays (int ranges and
+// sets, with output_var and output_array annotations), solve satisfy /
+// minimize / maximize, and the constraints in FZN_CONSTRAINTS.
+
+formats.parseFlatZinc = function parseFlatZinc(text) {
+  const problem = newProblem(), env = {}, outputs = [];
+  problem.output = { format: 'flatzinc', items: outputs, bools: {} };
+  const tokens = tokenizeFlatZinc(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  function expect(token) {
+    if (tokens[pos] !== token) throw new Error('FlatZinc: expected "' + token + '" but found "' + tokens[pos] + '"');
+    pos++;
+  }
+
+  // Expressions: integers, booleans, identifiers, a[i], ranges, {sets}, [arrays], calls
+  function expr() {
+    const token = next();
+    if (token === '[') return { array: listUntil(']') };
+    if (token === '{') return { set: listUntil('}') };
+    if (token === 'true' || token === 'false') return token === 'true' ? 1 : 0;
+    if (/^-?\d+$/.test(token)) {
+      if (peek() !== '..') return +token;
+      next();
+      return { range: [+token, +next()] };
+    }
+    if (/^-?\d*\.\d+/.test(token)) throw new Error('FlatZinc: floats are not supported');
+    if (token[0] === '"') return { string: token.slice(1, -1) };
+    if (!/^[A-Za-z_][\w]*$/.test(token)) throw new Error('FlatZinc: unexpected "' + token + '"');
+    if (peek() === '(') {
+      next();
+      return { call: token, args: listUntil(')') };
+    }
+    if (peek() === '[') {
+      next();
+      const index = expr();
+      expect(']');
+      return { id: token, index: index };
+    }
+    return { id: token };
+  }
+  function listUntil(close) {
+    const items = [];
+    while (peek() !== close) {
+      items.push(expr());
+      if (peek() === ',') next();
+      else if (peek() !== close) throw new Error('FlatZinc: expected "," or "' + close + '"');
+    }
+    next();
+    return items;
+  }
+  function annotations() {
+    const list = [];
+    while (peek() === '::') {
+      next();
+      list.push(expr());
+    }
+    return list;
+  }
+  // A type: [var] int | bool | a..b | {set}, or array [ranges] of that
+  function type() {
+    const t = {};
+    if (peek() === 'array') {
+      next();
+      expect('[');
+      t.dims = listUntil(']');
+      expect('of');
+    }
+    if (peek() === 'var') {
+      next();
+      t.var = true;
+    }
+    if (peek() === 'set') {
+      if (t.var) throw new Error('FlatZinc: set variables are not supported');
+      next();
+      expect('of');
+    }
+    const token = peek();
+    if (token === 'int' || token === 'bool') {
+      next();
+      t.base = token;
+    } else if (token === 'float') {
+      throw new Error('FlatZinc: floats are not supported');
+    } else {
+      t.base = 'int';
+      t.domain = expr();
+    }
+    return t;
+  }
+
+  // Values of expressions: numbers, variable names or arrays of them
+  function resolve(e) {
+    if (typeof e === 'number') return e;
+    if (e.array) return e.array.map(resolve);
+    if (e.set) return e.set.map(resolve);
+    if (e.range) return e;
+    if (e.id != null) {
+      if (!(e.id in env)) throw new Error('FlatZinc: unknown identifier "' + e.id + '"');
+      const value = env[e.id];
+      if (e.index === undefined) return value;
+      return value[resolve(e.index) - 1];
+    }
+    throw new Error('FlatZinc: unexpected expression');
+  }
+  function domainFor(t) {
+    if (t.base === 'bool') return { min: 0, max: 1 };
+    if (!t.domain) throw new Error('FlatZinc: unbounded int variables are not supported');
+    const d = resolve(t.domain);
+    return d.range ? { min: d.range[0], max: d.range[1] } : domainOf(d);
+  }
+  function newVariable(name, t) {
+    problem.variables[name] = domainFor(t);
+    if (t.base === 'bool') problem.output.bools[name] = true;
+    env[name] = name;
+  }
+
+  while (pos < tokens.length) {
+    const head = peek();
+    if (head === 'predicate') {
+      while (next() !== ';');
+    } else if (head === 'constraint') {
+      next();
+      const call = expr();
+      annotations();
+      expect(';');
+      if (!call.call) throw new Error('FlatZinc: a constraint must be a call');
+      const build = FZN_CONSTRAINTS[call.call.replace(/^fzn_/, '')];
+      if (!build) throw new Error('FlatZinc: unsupported constraint "' + call.call + '"');
+      build(problem, call.args.map(resolve));
+    } else if (head === 'solve') {
+      next();
+      annotations();
+      const goal = next();
+      if (goal === 'minimize' || goal === 'maximize') {
+        const target = resolve(expr());
+        if (typeof target === 'number') setLinearObjective(problem, [], [], target, goal === 'maximize');
+        else setLinearObjective(problem, [1], [target], 0, goal === 'maximize');
+      } else if (goal !== 'satisfy') {
+        throw new Error('FlatZinc: unexpected "' + goal + '" in solve item');
+      }
+      expect(';');
+    } else {
+      const t = type();
+      expect(':');
+      const name = next(), notes = annotations();
+      let value;
+      if (peek() === '=') {
+        next();
+        value = expr();
+      }
+      expect(';');
+      if (!t.var) {
+        if (value === undefined) throw new Error('FlatZinc: parameter "' + name + '" has no value');
+        env[name] = resolve(value);
+      } else if (t.dims) {
+        if (value === undefined) throw new Error('FlatZinc: array "' + name + '" has no elements');
+        env[name] = resolve(value);
+        const out = notes.find(n => n.call === 'output_array');
+        if (out) outputs.push({ name: name, dims: out.args[0].array.map(resolve).map(r => r.range), terms: env[name] });
+      } else {
+        newVariable(name, t);
+        if (value !== undefined) {
+          const other = resolve(value);
+          FZN_CONSTRAINTS.int_eq(problem, [name, other]);
+        }
+        if (notes.some(n => n.id === 'output_var')) outputs.push({ name: name, terms: name });
+      }
+    }
+  }
+  // Without output annotations, show every variable declared by name
+  if (!outputs.length) {
+    Object.keys(problem.variables).filter(v => v !== '$false' && v.indexOf('[') === -1)
+      .forEach(v => outputs.push({ name: v, terms: v }));
+  }
+  return problem;
+};
+
+// Solutions in the FlatZinc output format: each one as "name = value;" lines
+// ending in "----------", then "==========" once a complete search has found
+// them all (or proven the last one optimal).
+formats.writeFlatZinc = function writeFlatZinc(problem, result, options) {
+  const complete = !options || options.complete !== false;
+  const solutions = result === FAILURE ? [] : Array.isArray(result) ? result : [result];
+  const bools = problem.output.bools, lines = [];
+  if (!solutions.length) return complete ? '=====UNSATISFIABLE=====' : '=====UNKNOWN=====';
+  const show = (solution, term) => {
+    if (typeof term === 'number') return String(term);
+    return bools[term] ? String(solution[term] === 1) : String(solution[term]);
+  };
+  solutions.forEach(solution => {
+    problem.output.items.forEach(item => {
+      if (!item.dims) return lines.push(item.name + ' = ' + show(solution, item.terms) + ';');
+      lines.push(item.name + ' = array' + item.dims.length + 'd(' +
+                 item.dims.map(r => r[0] + '..' + r[1]).join(', ') + ', [' +
+                 item.terms.map(term => show(solution, term)).join(', ') + ']);');
+    });
+    lines.push('----------');
+  });
+  if (complete && (options && options.all || problem.objective)) lines.push('==========');
+  return lines.join('\n');
+};
+
+function tokenizeFlatZinc(text) {
+  const tokens = [];
+  const re = /%[^\n]*|\s+|"(?:[^"\\]|\\.)*"|::|\.\.|-?\d+\.\d+(?:[eE][-+]?\d+)?|-?\d+|[A-Za-z_]\w*|[[\](){},:;=]|./g;
+  let m;
+  while ((m = re.exec(text))) {
+    const token = m[0];
+    if (token[0] === '%' || /^\s+$/.test(token)) continue;
+    if (!/^(?:"|::|\.\.|-?\d|[A-Za-z_]|[[\](){},:;=])/.test(token)) {
+      throw new Error('FlatZinc: unexpected character "' + token + '"');
+    }
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+// FlatZinc arguments after resolve(): a number, a variable name, or an array
+// of those. src() turns one into JS source over the assignment a.
+function src(term) {
+  return typeof term === 'number' ? String(term) : read(term);
+}
+function varsOf(terms) {
+  const vars = [];
+  terms.forEach(t => {
+    if (Array.isArray(t)) varsOf(t).forEach(v => { if (vars.indexOf(v) === -1) vars.push(v); });
+    else if (typeof t === 'string' && vars.indexOf(t) === -1) vars.push(t);
+  });
+  return vars;
+}
+// A constraint given as a function of the argument sources
+function expression(template) {
+  return (problem, args) => {
+    const sources = args.map(arg => Array.isArray(arg) ? arg.map(src) : src(arg));
+    addExpression(problem, varsOf(args), template.apply(null, sources));
+  };
+}
+// A binary relation: arcs between two variables, else a unary or ground check
+function relation(name, template) {
+  return (problem, [x, y]) => {
+    if (typeof x === 'string' && typeof y === 'string' && x !== y) {
+      problem.constraints.push([x, y, CSP.relations[name]]);
+      problem.constraints.push([y, x, CSP.relations[{ lt: 'gt', le: 'ge', eq: 'eq', neq: 'neq' }[name]]]);
+    } else {
+      addExpression(problem, varsOf([x, y]), template(src(x), src(y)));
+    }
+  };
+}
+// sum(coeffs[i] * terms[i]) op k, with constant terms moved into k
+function linear(problem, coeffs, terms, op, k) {
+  const cs = [], vars = [];
+  terms.forEach((t, i) => {
+    if (typeof t === 'number') k -= coeffs[i] * t;
+    else { cs.push(coeffs[i]); vars.push(t); }
+  });
+  if (!vars.length) {
+    if (!{ '=': 0 === k, '!=': 0 !== k, '<=': 0 <= k }[op]) addFalse(problem);
+    return;
+  }
+  problem.naryConstraints.push(CSP.linear(cs, vars, op, k));
+}
+const LIN_SRC = (cs, xs, k) => '(' + cs.map((c, i) => c + ' * ' + xs[i]).join(' + ') + ') - ' + k;
+
+const FZN_CONSTRAINTS = {
+  int_eq: relation('eq', (x, y) => x + ' === ' + y),
+  int_ne: relation('neq', (x, y) => x + ' !== ' + y),
+  int_lt: relation('lt', (x, y) => x + ' < ' + y),
+  int_le: relation('le', (x, y) => x + ' <= ' + y),
+  bool_eq: relation('eq', (x, y) => x + ' === ' + y),
+  bool_lt: relation('lt', (x, y) => x + ' < ' + y),
+  bool_le: relation('le', (x, y) => x + ' <= ' + y),
+  bool2int: relation('eq', (x, y) => x + ' === ' + y),
+  bool_not: relation('neq', (x, y) => x + ' !== ' + y),
+  int_lin_eq: (problem, [cs, xs, k]) => linear(problem, cs, xs, '=', k),
+  int_lin_ne: (problem, [cs, xs, k]) => linear(problem, cs, xs, '!=', k),
+  int_lin_le: (problem, [cs, xs, k]) => linear(problem, cs, xs, '<=', k),
+  bool_lin_eq: (problem, [cs, xs, k]) => linear(problem, cs, xs, '=', k),
+  bool_lin_le: (problem, [cs, xs, k]) => linear(problem, cs, xs, '<=', k),
+  int_plus: (problem, [x, y, z]) => linear(problem, [1, 1, -1], [x, y, z], '=', 0),
+  int_times: (problem, args) => {
+    if (args.every(t => typeof t === 'string')) return problem.naryConstraints.push(CSP.times.apply(null, args));
+    expression((x, y, z) => x + ' * ' + y + ' === ' + z)(problem, args);
+  },
+  int_abs: expression((x, y) => 'Math.abs(' + x + ') === ' + y),
+  int_div: expression((x, y, z) => y + ' !== 0 && Math.trunc(' + x + ' / ' + y + ') === ' + z),
+  int_mod: expression((x, y, z) => y + ' !== 0 && ' + x + ' % ' + y + ' === ' + z),
+  int_min: expression((x, y, z) => 'Math.min(' + x + ', ' + y + ') === ' + z),
+  int_max: expression((x, y, z) => 'Math.max(' + x + ', ' + y + ') === ' + z),
+  int_pow: expression((x, y, z) => 'Math.pow(' + x + ', ' + y + ') === ' + z),
+  int_eq_reif: expression((x, y, r) => '(' + x + ' === ' + y + ') === (' + r + ' === 1)'),
+  int_ne_reif: expression((x, y, r) => '(' + x + ' !== ' + y + ') === (' + r + ' === 1)'),
+  int_lt_reif: expression((x, y, r) => '(' + x + ' < ' + y + ') === (' + r + ' === 1)'),
+  int_le_reif: expression((x, y, r) => '(' + x + ' <= ' + y + ') === (' + r + ' === 1)'),
+  int_lin_eq_reif: expression((cs, xs, k, r) => '(' + LIN_SRC(cs, xs, k) + ' === 0) === (' + r + ' === 1)'),
+  int_lin_ne_reif: expression((cs, xs, k, r) => '(' + LIN_SRC(cs, xs, k) + ' !== 0) === (' + r + ' === 1)'),
+  int_lin_le_reif: expression((cs, xs, k, r) => '(' + LIN_SRC(cs, xs, k) + ' <= 0) === (' + r + ' === 1)'),
+  bool_eq_reif: expression((x, y, r) => '(' + x + ' === ' + y + ') === (' + r + ' === 1)'),
+  bool_and: expression((x, y, r) => '(' + x + ' && ' + y + ') === ' + r),
+  bool_or: expression((x, y, r) => '(' + x + ' || ' + y + ') === ' + r),
+  bool_xor: expression((x, y, r) => r === undefined ? x + ' !== ' + y : '(' + x + ' ^ ' + y + ') === ' + r),
+  bool_clause: expression((pos, neg) => '[' + pos.join(', ') + '].some(b => b === 1) || [' +
+                                        neg.join(', ') + '].some(b => b === 0)'),
+  array_bool_and: expression((xs, r) => '[' + xs.join(', ') + '].every(b => b === 1) === (' + r + ' === 1)'),
+  array_bool_or: expression((xs, r) => '[' + xs.join(', ') + '].some(b => b === 1) === (' + r + ' === 1)'),
+  array_bool_xor: expression(xs => '[' + xs.join(', ') + '].reduce((p, b) => p ^ b, 0) === 1'),
+  set_in: (problem, [x, s]) => {
+    const set = s.range ? null : s;
+    const test = set ? JSON.stringify(set) + '.includes(' + src(x) + ')'
+      : src(x) + ' >= ' + s.range[0] + ' && ' + src(x) + ' <= ' + s.range[1];
+    addExpression(problem, varsOf([x]), test);
+  },
+  array_int_element: (problem, [i, array, x]) => {
+    if (typeof i === 'string' && typeof x === 'string') {
+      return problem.naryConstraints.push(CSP.table([i, x], array.map((value, j) => [j + 1, value])));
+    }
+    expression((i, array, x) => '[' + array.join(', ') + '][' + i + ' - 1] === ' + x)(problem, [i, array, x]);
+  },
+  array_var_int_element: expression((i, array, x) => '[' + array.join(', ') + '][' + i + ' - 1] === ' + x),
+  all_different_int: (problem, [xs]) => {
+    if (xs.every(t => typeof t === 'string')) return problem.naryConstraints.push(CSP.allDifferent(xs));
+    expression(xs => 'new Set([' + xs.join(', ') + ']).size === ' + xs.length)(problem, [xs]);
+  },
+  table_int: (problem, [xs, flat]) => {
+    const tuples = [];
+    for (let i = 0; i < flat.length; i += xs.length) tuples.push(flat.slice(i, i + xs.length));
+    if (xs.every(t => typeof t === 'string')) return problem.naryConstraints.push(CSP.table(xs, tuples));
+    const test = xs => JSON.stringify(tuples) + '.some(t => t.every((v, i) => v === [' + xs.join(', ') + '][i]))';
+    expression(test)(problem, [xs]);
+  }
+};
+FZN_CONSTRAINTS.array_bool_element = FZN_CONSTRAINTS.array_int_element;
+FZN_CONSTRAINTS.array_var_bool_element = FZN_CONSTRAINTS.array_var_int_element;
+FZN_CONSTRAINTS.alldifferent_int = FZN_CONSTRAINTS.all_different_int;
+FZN_CONSTRAINTS.table_bool = FZN_CONSTRAINTS.table_int;
+
+// ---------------- UMD export ----------------
+
+if (typeof define === 'function' && define.amd) {
+  define(formats);
+} else if (typeof module === 'object' && module.exports) {
+  module.exports = formats;
+} else {
+  this.cspFormats = formats;
+}
+
+}();
@@ -1,236 +1,475 @@
 // gencw.js
-// Generates and solves an N x N arithmetic square puzzle.
+// Generates arithmetic square puzzles: a grid whose every row and column is an
+// equation, the last cell being the result of the others. Each puzzle has
+// exactly one solution.
 //
 // Usage example: node gencw.js --ops='*,-,/'
-// node gencw.js --size=4 --range=2-50 verbose --clues=3 --ops=-,+
+// node gencw.js --size=4 --range=2-50 verbose --clues=3 --ops=-,+ --seed=7
+// node gencw.js --rows=3 --cols=5 --precedence --format=svg > square.svg
+//
+// As a library:
+//   const { generateArithmeticSquare, toText } = require('./gencw');
+//   const puzzle = generateArithmeticSquare({ size: 4, range: { min: 1, max: 30 }, ops: ['+', '×'], seed: 7 });
+//   console.log(toText(puzzle));
 
 const csp = require('./csp');
 
-// ------------------- Configuration & Argument Parsing -------------------
-
-const DEFAULT_CONFIG = {
-  GRID_N: 3,
-  MIN_N: 1,
-  MAX_N: 20,
-  OPS: ['+', '−', '×', '÷'],
-  MAX_ATTEMPTS: 250,
-  NUM_CLUES: 0,
-  verbose: false,
-};
-
-function parseArgs() {
-    const config = { ...DEFAULT_CONFIG };
-    const args = process.argv.slice(2);
-    for (const arg of args) {
-        if (arg === 'verbose') { config.verbose = true; continue; }
-        const [key, value] = arg.replace(/^--/, '').split('=');
-        if (!value) continue;
-        switch (key) {
-            case 'size':
-                const size = parseInt(value, 10);
-                if (!isNaN(size) && size > 2) config.GRID_N = size;
-                break;
-            case 'range':
-                const [min, max] = value.split('-').map(Number);
-                if (!isNaN(min) && !isNaN(max) && min < max) {
-                    config.MIN_N = min;
-                    config.MAX_N = max;
-                }
-                break;
-            case 'ops':
-                const opMap = {
-                    '-': '−', // Hyphen to Minus Sign
-                    '*': '×', // Asterisk to Multiplication Sign
-                    '/': '÷'  // Slash to Division Sign
-                };
-                const validOps = new Set(['+', '−', '×', '÷']);
-
-                const userOps = value.split(',')
-                                     .map(op => {
-                                         const trimmedOp = op.trim();
-                                         return opMap[trimmedOp] || trimmedOp; // Use mapped value or original
-                                     })
-                                     .filter(op => validOps.has(op));
-                if (userOps.length > 0) {
-                    config.OPS = userOps;
-                }
-                break;
-            case 'clues':
-                const clues = parseInt(value, 10);
-                if (!isNaN(clues) && clues >= 0) config.NUM_CLUES = clues;
-                break;
+const OPS = ['+', '−', '×', '÷'];
+// ASCII spellings accepted for the operators
+const OP_ALIASES = { '-': '−', '*': '×', 'x': '×', '/': '÷' };
+
+// ------------------- Generation -------------------
+
+// Returns a puzzle (see toJSON for its shape) whose clues admit exactly one
+// solution. Options:
+//   size          rows and columns (default 3); rows and cols set them apart
+//   range         {min, max} for the values in the grid (default 1 to 20)
+//   ops           the operators to draw from (default all four)
+//   precedence    evaluate × and ÷ before + and −, instead of left to right
+//   seed          the same seed and options give the same puzzle
+//   minClues      reveal at least this many cells
+//   maxAttempts   operator layouts to try before giving up (default 250)
+//   maxBacktracks search budget per solve (default 20000); a layout the solver
+//                 cannot settle within it is replaced
+//   timeoutMs     also bound each solve in time (makes seeded runs depend on
+//                 the machine)
+//   log           a function receiving progress messages
+// Throws if no layout works out within maxAttempts.
+function generateArithmeticSquare(options) {
+    const config = readOptions(options || {});
+    const random = csp.seededRandom(config.seed);
+    const log = config.log;
+
+    for (let attempt = 1; attempt <= config.maxAttempts; attempt++) {
+        const layout = randomLayout(config, random);
+        const puzzle = {
+            rows: config.rows, cols: config.cols, range: config.range, precedence: config.precedence,
+            ops: layout, clues: emptyGrid(config.rows, config.cols, null), solution: null
+        };
+        log(`Attempt ${attempt}/${config.maxAttempts}:\n${toText(puzzle)}`);
+
+        const stats = {};
+        const found = csp.solve(problem(puzzle), solveOptions(config, random, stats));
+        log(`Search: ${stats.nodes} nodes, ${stats.backtracks} backtracks, ${stats.restarts} restarts`);
+        if (found === csp.FAILURE || found.status === csp.UNKNOWN) {
+            log(found === csp.FAILURE ? 'No solution. Trying a new layout.' : 'Gave up. Trying a new layout.');
+            continue;
         }
+        puzzle.solution = gridOf(found, config.rows, config.cols);
+        if (tightenClues(puzzle, config, random)) return puzzle;
+        log('Could not prove a unique solution. Trying a new layout.');
+    }
+    throw new Error(`No puzzle found in ${config.maxAttempts} attempts`);
+}
+
+function readOptions(options) {
+    const size = options.size != null ? options.size : 3;
+    const config = {
+        rows: options.rows != null ? options.rows : size,
+        cols: options.cols != null ? options.cols : size,
+        range: options.range || { min: 1, max: 20 },
+        ops: (options.ops || OPS).map(op => OP_ALIASES[op] || op),
+        precedence: !!options.precedence,
+        seed: options.seed != null ? options.seed : Math.floor(Math.random() * 4294967296),
+        minClues: options.minClues || 0,
+        maxAttempts: options.maxAttempts != null ? options.maxAttempts : 250,
+        maxBacktracks: options.maxBacktracks != null ? options.maxBacktracks : 20000,
+        timeoutMs: options.timeoutMs,
+        log: options.log || (() => {})
+    };
+    if (!(Number.isInteger(config.rows) && config.rows >= 3 && Number.isInteger(config.cols) && config.cols >= 3)) {
+        throw new Error('A square needs at least 3 rows and 3 columns');
+    }
+    if (!(Number.isInteger(config.range.min) && Number.isInteger(config.range.max) &&
+          config.range.min <= config.range.max)) {
+        throw new Error('range needs integer min and max, min <= max');
     }
-    // Set default clues for larger grids if not specified
-    if (config.GRID_N > 3 && !args.some(a => a.startsWith('--clues'))) {
-        config.NUM_CLUES = Math.floor(config.GRID_N / 2);
+    if (!config.ops.length || config.ops.some(op => OPS.indexOf(op) === -1)) {
+        throw new Error(`ops must be drawn from ${OPS.join(' ')}`);
     }
     return config;
 }
 
-const config = parseArgs();
-
-// ------------------- Utility -------------------
+function randomLayout(config, random) {
+    const pick = () => config.ops[Math.floor(random() * config.ops.length)];
+    return {
+        rows: Array.from({ length: config.rows }, () => Array.from({ length: config.cols - 2 }, pick)),
+        cols: Array.from({ length: config.cols }, () => Array.from({ length: config.rows - 2 }, pick))
+    };
+}
 
-function log(message) { if (config.verbose) console.log(message); }
-function randInt(a, b) { return Math.floor(Math.random() * (b - a + 1)) + a; }
-function randChoice(arr) { return arr[Math.floor(Math.random() * arr.length)]; }
-function id(r, c) { return `r${r}c${c}`; }
-function opId(r, c, type, index = 0) {
-    if (type === 'row') return `op_r${r}_i${index}`;
-    if (type === 'col') return `op_c${c}_i${index}`;
+// Each solve tries values in a fresh random order drawn from the puzzle's
+// seed. Restarts keep a bad early split from stalling a layout, and the
+// budget gives up on one that is still too hard.
+function solveOptions(config, random, stats) {
+    const options = {
+        stats: stats, restarts: 'luby', seed: Math.floor(random() * 4294967296),
+        maxBacktracks: config.maxBacktracks
+    };
+    if (config.timeoutMs != null) options.timeoutMs = config.timeoutMs;
+    return options;
 }
 
-function evaluate(operands, ops) {
-    if (operands.length !== ops.length + 1) return null;
-    let currentVal = operands[0];
-    for (let i = 0; i < ops.length; i++) {
-        const op = ops[i];
-        const nextVal = operands[i + 1];
-        switch(op) {
-            case '+': currentVal += nextVal; break;
-            case '−': currentVal -= nextVal; break;
-            case '×': currentVal *= nextVal; break;
-            case '÷':
-                if (nextVal === 0 || currentVal % nextVal !== 0) return null;
-                currentVal /= nextVal;
-                break;
-            default: return null;
-        }
+// Reveals cells of the solution until it is the only one: while a second
+// solution exists, one of the cells where it differs becomes a clue. Then
+// drops every clue the uniqueness does not depend on. Returns false if the
+// search budget ran out before uniqueness could be shown.
+function tightenClues(puzzle, config, random) {
+    const { rows, cols, solution, clues } = puzzle;
+    const cells = csp.shuffle(allCells(rows, cols), random);
+    const reveal = ([r, c]) => { clues[r][c] = solution[r][c]; };
+    cells.slice(0, config.minClues).forEach(reveal);
+
+    for (;;) {
+        const other = otherSolution(puzzle, config, random);
+        if (other === null) break;
+        const blanks = cells.filter(([r, c]) => clues[r][c] === null);
+        if (!blanks.length) break;
+        // Without a second solution to compare against (the search gave up),
+        // reveal any blank cell.
+        const differing = other === csp.UNKNOWN ? blanks : blanks.filter(([r, c]) => other[r][c] !== solution[r][c]);
+        reveal(differing[Math.floor(random() * differing.length)]);
     }
-    return currentVal;
+    if (otherSolution(puzzle, config, random) !== null) return false;
+
+    cells.slice(config.minClues).forEach(([r, c]) => {
+        if (clues[r][c] === null) return;
+        clues[r][c] = null;
+        if (otherSolution(puzzle, config, random) !== null) clues[r][c] = solution[r][c];
+    });
+    return true;
+}
+
+// A solution other than puzzle.solution as a grid, null if there is none, or
+// csp.UNKNOWN if the search budget ran out first.
+function otherSolution(puzzle, config, random) {
+    const stats = {};
+    const found = csp.solveAll(problem(puzzle), Object.assign(solveOptions(config, random, stats), { limit: 2 }));
+    const grids = found.map(s => gridOf(s, puzzle.rows, puzzle.cols));
+    const other = grids.find(g => !sameGrid(g, puzzle.solution));
+    if (other) return other;
+    return stats.limit ? csp.UNKNOWN : null;
 }
 
-// ------------------- Puzzle & Grid Generation -------------------
+// ------------------- Model -------------------
 
-function buildPuzzleConstraints(config, ops, clues) {
-    const { GRID_N, MIN_N, MAX_N } = config;
+// The csp.js problem for a puzzle: a variable per cell, r0c0 to r{rows-1}c{cols-1},
+// fixed to the clue where there is one.
+function problem(puzzle) {
+    const { rows, cols, range, ops, clues, precedence } = puzzle;
     const variables = {};
     const naryConstraints = [];
-    for (let r = 0; r < GRID_N; r++) {
-        for (let c = 0; c < GRID_N; c++) {
-            const cellId = id(r, c);
-            if (clues[cellId] !== undefined) {
-                variables[cellId] = [clues[cellId]];
-            } else {
-                variables[cellId] = Array.from({ length: MAX_N - MIN_N + 1 }, (_, i) => i + MIN_N);
-            }
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const clue = clues[r][c];
+            variables[id(r, c)] = clue != null ? [clue] : { min: range.min, max: range.max };
         }
     }
-    for (let r = 0; r < GRID_N; r++) {
-        const vars = Array.from({ length: GRID_N }, (_, c) => id(r, c));
-        naryConstraints.push({ vars, predicate: (assign) => {
-            const values = vars.map(v => assign[v]), operands = values.slice(0, -1), result = values.slice(-1)[0];
-            return evaluate(operands, ops.rows[r]) === result;
-        }});
+    for (let r = 0; r < rows; r++) {
+        const vars = Array.from({ length: cols }, (_, c) => id(r, c));
+        naryConstraints.push(...equationConstraints(vars, ops.rows[r], variables, `r${r}`, precedence));
     }
-    for (let c = 0; c < GRID_N; c++) {
-        const vars = Array.from({ length: GRID_N }, (_, r) => id(r, c));
-        naryConstraints.push({ vars, predicate: (assign) => {
-            const values = vars.map(v => assign[v]), operands = values.slice(0, -1), result = values.slice(-1)[0];
-            return evaluate(operands, ops.cols[c]) === result;
-        }});
+    for (let c = 0; c < cols; c++) {
+        const vars = Array.from({ length: rows }, (_, r) => id(r, c));
+        naryConstraints.push(...equationConstraints(vars, ops.cols[c], variables, `c${c}`, precedence));
     }
     return { variables, constraints: [], naryConstraints };
 }
 
-function asciiGrid(solution, ops, N) {
-  const out = [];
-  const hLine = '+' + '-'.repeat(N * 4 + (N - 1) * 3) + '+';
-  out.push(hLine);
-  for (let r = 0; r < N; r++) {
-    let numRow = '|';
-    for (let c = 0; c < N; c++) {
-      const val = solution[id(r, c)] != null ? String(solution[id(r, c)]) : '?';
-      numRow += val.padStart(4, ' ');
-      if (c < N - 2) numRow += ` ${ops[opId(r, null, 'row', c)]} `;
-      else if (c === N - 2) numRow += ' = ';
-    }
-    numRow += ' |';
-    out.push(numRow);
-    if (r < N - 1) {
-      let opRow = '|';
-      const getOperator = (col) => (r < N - 2) ? ops[opId(null, col, 'col', r)] : '=';
-      for (let c = 0; c < N; c++) {
-        opRow += '  ' + getOperator(c) + ' ';
-        if (c < N - 1) opRow += '   ';
-      }
-      opRow += ' |';
-      out.push(opRow);
-    }
-  }
-  out.push(hLine);
-  return out.join('\n');
-}
-
-// ------------------- Main Generation Logic -------------------
-
-function generatePuzzle(config) {
-    const { GRID_N, OPS, MAX_ATTEMPTS, NUM_CLUES, MIN_N, MAX_N } = config;
-    console.log(`\n--- Generating ${GRID_N}x${GRID_N} Puzzle ---`);
-    console.log(`(Range: ${MIN_N}-${MAX_N}, Ops: [${OPS.join(', ')}])`);
-    if (NUM_CLUES > 0) console.log(`(Seeding with up to ${NUM_CLUES} random clues)`);
-
-    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
-        console.log(`\n--- Attempt ${attempt}/${MAX_ATTEMPTS} ---`);
-
-        // Step 1: Generate operators
-        const opLayout = { rows: [], cols: [] }, opDetails = {};
-        for (let r = 0; r < GRID_N; r++) {
-            const ops = Array.from({ length: GRID_N - 2 }, () => randChoice(OPS));
-            opLayout.rows.push(ops);
-            ops.forEach((op, i) => { opDetails[opId(r, null, 'row', i)] = op; });
+function id(r, c) { return `r${r}c${c}`; }
+
+// vars[0] op vars[1] op ... = vars[last]. A chain of + and − is one linear
+// constraint. Left to right, every other step gets an auxiliary variable for
+// the running value (see chainConstraints). With precedence, each run of × and
+// ÷ is a term with its own chain, and the signed terms add up to the result.
+function equationConstraints(vars, lineOps, variables, prefix, precedence) {
+    const result = vars[vars.length - 1], operands = vars.slice(0, -1);
+    if (lineOps.every(op => op === '+' || op === '−')) {
+        const coeffs = [1, ...lineOps.map(op => op === '+' ? 1 : -1), -1];
+        return [csp.linear(coeffs, vars, '=', 0)];
+    }
+    if (!precedence) return chainConstraints(operands, lineOps, result, variables, prefix);
+
+    const terms = [{ sign: 1, operands: [operands[0]], ops: [] }];
+    lineOps.forEach((op, i) => {
+        if (op === '+' || op === '−') {
+            terms.push({ sign: op === '+' ? 1 : -1, operands: [operands[i + 1]], ops: [] });
+        } else {
+            terms[terms.length - 1].operands.push(operands[i + 1]);
+            terms[terms.length - 1].ops.push(op);
+        }
+    });
+    const constraints = [], termVars = [];
+    terms.forEach((term, k) => {
+        if (!term.ops.length) { termVars.push(term.operands[0]); return; }
+        const name = `term_${prefix}_t${k}`;
+        variables[name] = term.ops.reduce((range, op, i) => stepRange(op, range, bounds(variables[term.operands[i + 1]])),
+                                          bounds(variables[term.operands[0]]));
+        constraints.push(...chainConstraints(term.operands, term.ops, name, variables, `${prefix}_t${k}`));
+        termVars.push(name);
+    });
+    constraints.push(csp.linear([...terms.map(t => t.sign), -1], [...termVars, result], '=', 0));
+    return constraints;
+}
+
+// operands[0] op operands[1] op ... = target, left to right. Every step but
+// the last gets an auxiliary variable for the running value, tied to the
+// previous one by a linear or times constraint, so that even wide ranges only
+// need bounds propagation.
+function chainConstraints(operands, ops, target, variables, prefix) {
+    const constraints = [];
+    let acc = operands[0];
+    ops.forEach((op, i) => {
+        const operand = operands[i + 1];
+        const last = i === ops.length - 1;
+        const next = last ? target : `acc_${prefix}_i${i}`;
+        if (!last) variables[next] = stepRange(op, bounds(variables[acc]), bounds(variables[operand]));
+        switch (op) {
+            case '+': constraints.push(csp.linear([1, 1, -1], [acc, operand, next], '=', 0)); break;
+            case '−': constraints.push(csp.linear([1, -1, -1], [acc, operand, next], '=', 0)); break;
+            case '×': constraints.push(csp.times(acc, operand, next)); break;
+            case '÷': // Exact division: acc = next × operand with operand ≠ 0
+                constraints.push(csp.times(next, operand, acc), csp.linear([1], [operand], '!=', 0));
+                break;
         }
-        for (let c = 0; c < GRID_N; c++) {
-            const ops = Array.from({ length: GRID_N - 2 }, () => randChoice(OPS));
-            opLayout.cols.push(ops);
-            ops.forEach((op, i) => { opDetails[opId(null, c, 'col', i)] = op; });
+        acc = next;
+    });
+    return constraints;
+}
+
+function bounds(dom) {
+    return Array.isArray(dom) ? { min: Math.min(...dom), max: Math.max(...dom) } : dom;
+}
+
+// Interval arithmetic: the range of a op b for a and b within the given bounds.
+function stepRange(op, a, b) {
+    switch (op) {
+        case '+': return { min: a.min + b.min, max: a.max + b.max };
+        case '−': return { min: a.min - b.max, max: a.max - b.min };
+        case '×': {
+            const p = [a.min * b.min, a.min * b.max, a.max * b.min, a.max * b.max];
+            return { min: Math.min(...p), max: Math.max(...p) };
         }
-        
-        // Step 2: Determine forbidden clue locations (divisors)
-        const forbiddenClueCells = new Set();
-        for (let r = 0; r < GRID_N; r++) { // Horizontal scan
-            for (let i = 0; i < opLayout.rows[r].length; i++) {
-                if (opLayout.rows[r][i] === '÷') forbiddenClueCells.add(id(r, i + 1));
+        case '÷': {
+            if (b.min <= 0 && b.max >= 0) {
+                const m = Math.max(Math.abs(a.min), Math.abs(a.max));
+                return { min: -m, max: m };
             }
+            const q = [a.min / b.min, a.min / b.max, a.max / b.min, a.max / b.max];
+            return { min: Math.floor(Math.min(...q)), max: Math.ceil(Math.max(...q)) };
         }
-        for (let c = 0; c < GRID_N; c++) { // Vertical scan
-            for (let i = 0; i < opLayout.cols[c].length; i++) {
-                if (opLayout.cols[c][i] === '÷') forbiddenClueCells.add(id(i + 1, c));
+    }
+}
+
+// The value of operands joined by ops, or null when a division is not exact.
+function evaluate(operands, ops, precedence) {
+    if (operands.length !== ops.length + 1) return null;
+    const apply = (a, op, b) => {
+        switch (op) {
+            case '+': return a + b;
+            case '−': return a - b;
+            case '×': return a * b;
+            case '÷': return b === 0 || a % b !== 0 ? null : a / b;
+        }
+        return null;
+    };
+    if (!precedence) {
+        let value = operands[0];
+        for (let i = 0; i < ops.length && value !== null; i++) value = apply(value, ops[i], operands[i + 1]);
+        return value;
+    }
+    // Fold each run of × and ÷ into its term, then add up the signed terms
+    let total = 0, sign = 1, term = operands[0];
+    for (let i = 0; i < ops.length && term !== null; i++) {
+        if (ops[i] === '+' || ops[i] === '−') {
+            total += sign * term;
+            sign = ops[i] === '+' ? 1 : -1;
+            term = operands[i + 1];
+        } else {
+            term = apply(term, ops[i], operands[i + 1]);
+        }
+    }
+    return term === null ? null : total + sign * term;
+}
+
+// Whether grid (an array of rows) satisfies every equation of the puzzle and
+// agrees with its clues.
+function verify(puzzle, grid) {
+    const { rows, cols, ops, clues, precedence } = puzzle;
+    for (let r = 0; r < rows; r++) {
+        if (evaluate(grid[r].slice(0, -1), ops.rows[r], precedence) !== grid[r][cols - 1]) return false;
+        for (let c = 0; c < cols; c++) if (clues[r][c] != null && clues[r][c] !== grid[r][c]) return false;
+    }
+    for (let c = 0; c < cols; c++) {
+        const col = grid.map(row => row[c]);
+        if (evaluate(col.slice(0, -1), ops.cols[c], precedence) !== col[rows - 1]) return false;
+    }
+    return true;
+}
+
+// ------------------- Export -------------------
+
+// The puzzle as plain data for JSON.stringify:
+//   {rows, cols, range: {min, max}, precedence,
+//    ops: {rows: [[op, ...], ...], cols: [[op, ...], ...]},
+//    clues: [[value or null, ...], ...], solution: [[value, ...], ...]}
+// ops.rows[r] are the cols - 2 operators of row r, ops.cols[c] the rows - 2 of
+// column c.
+function toJSON(puzzle) {
+    return JSON.parse(JSON.stringify({
+        rows: puzzle.rows, cols: puzzle.cols, range: puzzle.range, precedence: puzzle.precedence,
+        ops: puzzle.ops, clues: puzzle.clues, solution: puzzle.solution
+    }));
+}
+
+// Reads a puzzle back from toJSON's object or its JSON text.
+function fromJSON(json) {
+    const puzzle = toJSON(typeof json === 'string' ? JSON.parse(json) : json);
+    const { rows, cols, ops, clues } = puzzle;
+    const shaped = (grid, width) => Array.isArray(grid) && grid.every(row => Array.isArray(row) && row.length === width);
+    if (!(ops && shaped(ops.rows, cols - 2) && shaped(ops.cols, rows - 2) && ops.rows.length === rows &&
+          ops.cols.length === cols && shaped(clues, cols) && clues.length === rows)) {
+        throw new Error('Not an arithmetic square puzzle');
+    }
+    puzzle.precedence = !!puzzle.precedence;
+    if (puzzle.solution === undefined) puzzle.solution = null;
+    return puzzle;
+}
+
+// The grid as text, with ? for blanks. options.solution fills them in.
+function toText(puzzle, options) {
+    const { rows, cols, ops } = puzzle;
+    const grid = shown(puzzle, options);
+    const width = Math.max(4, ...grid.map(row => Math.max(...row.map(v => String(v).length + 1))));
+    const out = [];
+    const hLine = '+' + '-'.repeat(cols * width + (cols - 1) * 3) + '+';
+    out.push(hLine);
+    for (let r = 0; r < rows; r++) {
+        let numRow = '|';
+        for (let c = 0; c < cols; c++) {
+            numRow += String(grid[r][c]).padStart(width, ' ');
+            if (c < cols - 2) numRow += ` ${ops.rows[r][c]} `;
+            else if (c === cols - 2) numRow += ' = ';
+        }
+        out.push(numRow + ' |');
+        if (r < rows - 1) {
+            let opRow = '|';
+            for (let c = 0; c < cols; c++) {
+                opRow += ' '.repeat(width - 2) + (r < rows - 2 ? ops.cols[c][r] : '=') + ' ';
+                if (c < cols - 1) opRow += '   ';
             }
+            out.push(opRow + ' |');
         }
-        log(`Forbidden clue locations: ${[...forbiddenClueCells].join(', ') || 'None'}`);
-
-        // Step 3: Generate clues in valid locations
-        const clues = {};
-        const allCells = [];
-        for (let r = 0; r < GRID_N; r++) for (let c = 0; c < GRID_N; c++) allCells.push(id(r,c));
-        const validClueCells = allCells.filter(cellId => !forbiddenClueCells.has(cellId));
-        validClueCells.sort(() => 0.5 - Math.random()); // Shuffle valid locations
-        
-        const numCluesToPlace = Math.min(NUM_CLUES, validClueCells.length);
-        for (let i = 0; i < numCluesToPlace; i++) {
-            clues[validClueCells[i]] = randInt(MIN_N, MAX_N);
+    }
+    out.push(hLine);
+    return out.join('\n');
+}
+
+// The grid as a printable SVG image. Clues are bold; options.solution fills
+// in the blanks in grey.
+function toSVG(puzzle, options) {
+    const { rows, cols, ops, clues } = puzzle;
+    const grid = shown(puzzle, options);
+    const CELL = 48, GAP = 32, MARGIN = 16, STEP = CELL + GAP;
+    const width = 2 * MARGIN + cols * CELL + (cols - 1) * GAP, height = 2 * MARGIN + rows * CELL + (rows - 1) * GAP;
+    const text = (x, y, content, attrs) =>
+        `<text x="${x}" y="${y}" text-anchor="middle" dominant-baseline="central"${attrs || ''}>${content}</text>`;
+    const out = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+        'font-family="sans-serif" font-size="20">',
+        `<rect width="${width}" height="${height}" fill="white"/>`
+    ];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const x = MARGIN + c * STEP, y = MARGIN + r * STEP, cx = x + CELL / 2, cy = y + CELL / 2;
+            out.push(`<rect x="${x}" y="${y}" width="${CELL}" height="${CELL}" fill="none" stroke="black" stroke-width="2"/>`);
+            if (clues[r][c] != null) out.push(text(cx, cy, clues[r][c], ' font-weight="bold"'));
+            else if (grid[r][c] !== '?') out.push(text(cx, cy, grid[r][c], ' fill="#888"'));
+            // The operator to the right of the cell, and the one below it
+            if (c < cols - 1) out.push(text(x + CELL + GAP / 2, cy, c < cols - 2 ? ops.rows[r][c] : '='));
+            if (r < rows - 1) out.push(text(cx, y + CELL + GAP / 2, r < rows - 2 ? ops.cols[c][r] : '='));
         }
+    }
+    out.push('</svg>');
+    return out.join('\n');
+}
 
-        // Step 4: Print the skeleton with clues
-        console.log(asciiGrid(clues, opDetails, GRID_N));
-        
-        // Step 5: Try to solve
-        console.log("Solving...");
-        const prob = buildPuzzleConstraints(config, opLayout, clues);
-        const solution = csp.solve(prob);
-
-        if (solution !== 'FAILURE') {
-            console.log("\n✅ SUCCESS! Found a solution for the layout above:");
-            console.log(asciiGrid(solution, opDetails, GRID_N));
-            return;
-        } else {
-            console.log("❌ Failed to solve. Generating new layout.");
+// The values to draw: clues, and the solution with options.solution; ? elsewhere.
+function shown(puzzle, options) {
+    const solution = options && options.solution ? puzzle.solution : null;
+    return puzzle.clues.map((row, r) => row.map((clue, c) => {
+        if (clue != null) return clue;
+        return solution ? solution[r][c] : '?';
+    }));
+}
+
+// ------------------- Utility -------------------
+
+function emptyGrid(rows, cols, value) {
+    return Array.from({ length: rows }, () => new Array(cols).fill(value));
+}
+
+function allCells(rows, cols) {
+    const out = [];
+    for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) out.push([r, c]);
+    return out;
+}
+
+function gridOf(solution, rows, cols) {
+    return Array.from({ length: rows }, (_, r) => Array.from({ length: cols }, (_, c) => solution[id(r, c)]));
+}
+
+function sameGrid(a, b) {
+    return a.every((row, r) => row.every((v, c) => v === b[r][c]));
+}
+
+// ------------------- Command line -------------------
+
+function parseArgs(argv) {
+    const options = {};
+    let format = 'text', verbose = false;
+    for (const arg of argv) {
+        if (arg === 'verbose') { verbose = true; continue; }
+        if (arg === '--precedence') { options.precedence = true; continue; }
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (!value) continue;
+        const n = parseInt(value, 10);
+        switch (key) {
+            case 'size': case 'rows': case 'cols':
+                if (n >= 3) options[key] = n;
+                break;
+            case 'range': {
+                const [min, max] = value.split('-').map(Number);
+                if (Number.isInteger(min) && Number.isInteger(max) && min < max) options.range = { min, max };
+                break;
+            }
+            case 'ops': {
+                const userOps = value.split(',').map(op => OP_ALIASES[op.trim()] || op.trim())
+                                     .filter(op => OPS.indexOf(op) !== -1);
+                if (userOps.length > 0) options.ops = userOps;
+                break;
+            }
+            case 'seed': if (n >= 0) options.seed = n; break;
+            case 'timeout': if (n > 0) options.timeoutMs = n; break;
+            case 'clues': if (n >= 0) options.minClues = n; break;
+            case 'format': format = value; break;
         }
     }
-    console.log(`\n--- FAILED to find a solvable layout in ${MAX_ATTEMPTS} attempts. ---`);
+    if (verbose) options.log = message => console.error(message);
+    return { options, format };
 }
 
-// ------------------- Run -------------------
-generatePuzzle(config);
+function main() {
+    const { options, format } = parseArgs(process.argv.slice(2));
+    const puzzle = generateArithmeticSquare(options);
+    if (format === 'json') return console.log(JSON.stringify(toJSON(puzzle), null, 2));
+    if (format === 'svg') return console.log(toSVG(puzzle));
+    console.log(toText(puzzle));
+    const clues = puzzle.clues.reduce((n, row) => n + row.filter(v => v != null).length, 0);
+    console.log(`\n${clues} clues, one solution:`);
+    console.log(toText(puzzle, { solution: true }));
+}
+
+if (require.main === module) main();
+
+module.exports = { generateArithmeticSquare, problem, verify, evaluate, toJSON, fromJSON, toText, toSVG };
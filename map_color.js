@@ -1,30 +1,29 @@
 var csp = require('./csp'),
+    models = require('./models'),
     fs = require('fs');
 
 var data = JSON.parse(fs.readFileSync('state_neighbors.json'));
 
-var us = {}, variables = {}, constraints = [];
-function neq(s1, s2) { return s1 != s2; }
+// Each bordering pair of states gets different colors.
+var us = models.graphColoring(data, ['red', 'yellow', 'green', 'blue']);
 
-for (var state in data) {
-  variables[state] = ['red', 'yellow', 'green', 'blue'];
-  for (var i = 0, s = data[state]; i < s.length; i++) {
-    constraints.push([state, s[i], neq]);
-  }
+// Prefer colorings with as few distinct colors as possible. The colors used so
+// far can only grow, so they bound every completion of a partial coloring.
+function colors_used(assignment) {
+  var seen = {};
+  for (var state in assignment) { seen[assignment[state]] = true; }
+  return Object.keys(seen).length;
 }
-us.variables = variables;
-us.constraints = constraints;
+us.objective = colors_used;
+us.bound = colors_used;
 
-var result = csp.solve(us), valid = true;
-for (var state in data) {
-  for (var i = 0, s = data[state]; i < s.length; i++) {
-    if (result[state] == result[s[i]]) { valid = false; }
-  }
-}
+var outcome = csp.solve(us, { structured: true }), result = outcome.solution,
+    valid = outcome.status === csp.SAT && us.verify(result);
 
-var status = (result == 'FAILURE' || !valid) ? 'FAILURE' : 'SUCCESS';
+var status = valid ? 'SUCCESS' : 'FAILURE';
 console.log('\n***************');
 console.log('    ' + status);
 console.log('***************');
-console.log(JSON.stringify(result, null, 2));
+console.log(valid ? us.format(result) : outcome.status);
+if (valid) { console.log('Colors used: ' + colors_used(result)); }
 console.log('\n');
@@ -0,0 +1,395 @@
+// models.js
+// Builders for classic puzzles as csp.js problems. Each problem comes with
+// verify(solution), which checks a solution against the puzzle's rules
+// directly (without the solver), and format(assignment), which draws a full
+// or partial assignment as text. The examples and index.html build their
+// problems here.
+//
+// Usage example:
+//   const models = require('./models');
+//   const board = models.nQueens(8);
+//   const solution = csp.solve(board);
+//   console.log(board.format(solution), board.verify(solution));
+!function() {
+
+const CSP = typeof require === 'function' ? require('./csp') : this.csp;
+
+const models = {};
+
+// ---------------- N-Queens ----------------
+
+// One variable per column, 0 to n - 1, whose value is the queen's square
+// [column, row], as in nqueens.js.
+models.nQueens = function nQueens(n) {
+  const model = CSP.model();
+  for (let i = 0; i < n; i++) {
+    const squares = [];
+    for (let j = 0; j < n; j++) squares.push([i, j]);
+    model.variable(i, squares);
+  }
+  // The relation is symmetric, so each pair is given once
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) model.binary(i, j, notAttacking, { symmetric: true });
+  }
+  return withTools(model.build(), {
+    verify(solution) {
+      for (let i = 0; i < n; i++) {
+        const q = solution[i];
+        if (!q || q[0] !== i || !(q[1] >= 0 && q[1] < n)) return false;
+        for (let j = 0; j < i; j++) if (!notAttacking(solution[j], q)) return false;
+      }
+      return true;
+    },
+    format(assignment) {
+      const rows = [];
+      for (let r = 0; r < n; r++) {
+        const row = [];
+        for (let c = 0; c < n; c++) row.push(assignment[c] && assignment[c][1] === r ? 'Q' : '.');
+        rows.push(row.join(' '));
+      }
+      return rows.join('\n');
+    }
+  });
+};
+
+function notAttacking(a, b) {
+  return !(a[0] === b[0] || a[1] === b[1] || Math.abs(a[0] - b[0]) === Math.abs(a[1] - b[1]));
+}
+
+// ---------------- Graph coloring ----------------
+
+// adjacency maps each node to its neighbors (as in state_neighbors.json), or
+// is a list of [a, b] edges. colors is a list of colors, or a count k for the
+// colors 1 to k. Every node mentioned becomes a variable; neighbors differ.
+models.graphColoring = function graphColoring(adjacency, colors) {
+  const palette = typeof colors === 'number' ? range(1, colors) : colors.slice();
+  const edges = Array.isArray(adjacency) ? adjacency.map(e => e.map(String)) : [];
+  const nodes = [];
+  const add = v => { if (nodes.indexOf(v) === -1) nodes.push(v); };
+  if (!Array.isArray(adjacency)) {
+    for (const node in adjacency) {
+      add(node);
+      adjacency[node].forEach(other => edges.push([node, String(other)]));
+    }
+  }
+  edges.forEach(e => e.forEach(add));
+
+  const model = CSP.model().variables(nodes, palette);
+  // neq is a named relation: the model adds the reverse arc, drops repeated
+  // pairs, and the problem can be written as JSON.
+  edges.forEach(([a, b]) => model.binary(a, b, CSP.relations.neq));
+  return withTools(model.build(), {
+    verify(solution) {
+      return nodes.every(v => palette.indexOf(solution[v]) !== -1) && edges.every(([a, b]) => solution[a] !== solution[b]);
+    },
+    format(assignment) {
+      const width = Math.max(...nodes.map(v => v.length));
+      return nodes.map(v => v.padEnd(width) + '  ' + (v in assignment ? assignment[v] : '?')).join('\n');
+    }
+  });
+};
+
+// ---------------- Latin-square puzzles ----------------
+//
+// Sudoku, KenKen, Killer Sudoku and Futoshiki fill an n x n grid with 1 to n,
+// each value once per row and column. Variables are [row, column], both
+// counting from 1 as in sudoku.js, and the cells of cages and inequalities
+// are given the same way. Grids of clues are arrays of rows with 0 (or null)
+// for blanks.
+
+// allDifferent propagation does most of the work in all of them, so the
+// per-value LCV probes are not worth it.
+const GRID_HEURISTICS = { variable: 'mrvDegree', value: 'none' };
+
+function latinSquare(n, grid) {
+  const model = CSP.model(), digits = range(1, n);
+  for (let r = 1; r <= n; r++) {
+    for (let c = 1; c <= n; c++) {
+      const clue = grid && grid[r - 1][c - 1];
+      model.variable([r, c], clue ? [clue] : digits);
+    }
+  }
+  for (let i = 1; i <= n; i++) {
+    const row = [], col = [];
+    for (let j = 1; j <= n; j++) {
+      row.push([i, j]);
+      col.push([j, i]);
+    }
+    model.allDifferent(row).allDifferent(col);
+  }
+  return model;
+}
+
+// The blocks of an n x n Sudoku, n a square number.
+function sudokuBlocks(n) {
+  const block = Math.sqrt(n);
+  if (!Number.isInteger(block)) throw new Error('A Sudoku grid needs a square number of rows, such as 4, 9 or 16');
+  const out = [];
+  for (let b = 0; b < n; b++) {
+    const cells = [];
+    for (let k = 0; k < n; k++) {
+      cells.push([block * (b / block | 0) + (k / block | 0) + 1, block * (b % block) + k % block + 1]);
+    }
+    out.push(cells);
+  }
+  return out;
+}
+
+function buildGrid(model) {
+  const problem = model.build();
+  problem.heuristics = Object.assign({}, GRID_HEURISTICS);
+  return problem;
+}
+
+// The solution as arrays of rows, or null if a cell is missing or out of range.
+function solvedGrid(n, solution) {
+  const grid = [];
+  for (let r = 1; r <= n; r++) {
+    const row = [];
+    for (let c = 1; c <= n; c++) {
+      const v = solution[[r, c]];
+      if (!(Number.isInteger(v) && v >= 1 && v <= n)) return null;
+      row.push(v);
+    }
+    grid.push(row);
+  }
+  return grid;
+}
+
+function isLatin(grid) {
+  const n = grid.length, distinct = cells => new Set(cells).size === n;
+  return grid.every(distinct) && grid.every((_, c) => distinct(grid.map(row => row[c])));
+}
+
+function clueAt(clues, r, c) {
+  return clues ? clues[r - 1][c - 1] : null;
+}
+
+function keepsClues(grid, clues) {
+  return !clues || clues.every((row, r) => row.every((clue, c) => !clue || grid[r][c] === clue));
+}
+
+// The assignment drawn as a grid, with a line around every block of
+// blockSize rows and columns. Unassigned cells show their clue, or '.'.
+function gridText(n, assignment, blockSize, clues) {
+  const width = String(n).length;
+  let divider = '|';
+  for (let i = 1; i <= n * (width + 3) - 1; i++) divider += '-';
+  divider += '|';
+  const lines = [divider];
+  for (let r = 1; r <= n; r++) {
+    let row = '| ';
+    for (let c = 1; c <= n; c++) {
+      row += String(assignment[[r, c]] || clueAt(clues, r, c) || '.').padStart(width);
+      row += c % blockSize != 0 ? '   ' : ' | ';
+    }
+    lines.push(row);
+    if (r % blockSize == 0) lines.push(divider);
+  }
+  return lines.join('\n');
+}
+
+// grid: an n x n array of clues (n = 4, 9, 16, ...).
+models.sudoku = function sudoku(grid) {
+  const n = grid.length, blocks = sudokuBlocks(n), model = latinSquare(n, grid);
+  blocks.forEach(cells => model.allDifferent(cells));
+  return withTools(buildGrid(model), {
+    verify(solution) {
+      const g = solvedGrid(n, solution);
+      return !!g && isLatin(g) && keepsClues(g, grid) &&
+        blocks.every(cells => new Set(cells.map(([r, c]) => g[r - 1][c - 1])).size === n);
+    },
+    format(assignment) {
+      return gridText(n, assignment, Math.sqrt(n), grid);
+    }
+  });
+};
+
+// cages: [{cells: [[row, col], ...], op, target}], where op is '+', '-', '*',
+// '/' or '=' (a single cell given outright). '-' and '/' cages have two cells:
+// the larger value minus, or divided by, the smaller gives the target.
+models.kenken = function kenken(n, cages) {
+  const model = latinSquare(n);
+  cages.forEach((cage, i) => {
+    const cells = cage.cells, name = cageName(i, cage);
+    switch (cage.op) {
+      case '+': {
+        const C = CSP.sum(cells, '=', cage.target);
+        C.name = name;
+        model.nary(C);
+        break;
+      }
+      case '-': case '/':
+        if (cells.length !== 2) throw new Error(name + ' needs exactly two cells');
+        // falls through
+      case '*': {
+        // A table of the allowed values, so the cage can go to a worker
+        const C = CSP.table(cells, cageTuples(n, cage));
+        C.name = name;
+        model.nary(C);
+        break;
+      }
+      case '=':
+        if (cells.length !== 1) throw new Error(name + ' needs exactly one cell');
+        model.variable(cells[0], [cage.target]);
+        break;
+      default:
+        throw new Error('Unknown cage operator "' + cage.op + '"');
+    }
+  });
+  const problem = buildGrid(model);
+  return withTools(problem, {
+    verify(solution) {
+      const g = solvedGrid(n, solution);
+      return !!g && isLatin(g) && cages.every(cage => cageHolds(cage, cage.cells.map(([r, c]) => g[r - 1][c - 1])));
+    },
+    format(assignment) {
+      return cageText(n, cages, assignment, cage => cage.target + (cage.op === '=' ? '' : cage.op));
+    }
+  });
+};
+
+function cageName(i, cage) {
+  return 'cage ' + i + ' (' + cage.target + (cage.op || '') + ')';
+}
+
+function cageHolds(cage, values) {
+  switch (cage.op) {
+    case '+': return values.reduce((a, b) => a + b, 0) === cage.target;
+    case '*': return values.reduce((a, b) => a * b, 1) === cage.target;
+    case '-': return values.length === 2 && Math.abs(values[0] - values[1]) === cage.target;
+    case '/': return values.length === 2 && Math.max(values[0], values[1]) === cage.target * Math.min(values[0], values[1]);
+    case '=': return values.length === 1 && values[0] === cage.target;
+  }
+  return false;
+}
+
+// Every way to fill the cage from 1..n. A '*' cage only tries divisors of
+// what is left of its target.
+function cageTuples(n, cage) {
+  const size = cage.cells.length, tuples = [], values = [];
+  (function fill(left) {
+    if (values.length === size) {
+      if (cageHolds(cage, values)) tuples.push(values.slice());
+      return;
+    }
+    for (let v = 1; v <= n; v++) {
+      if (cage.op === '*' && left % v !== 0) continue;
+      values.push(v);
+      fill(left / v);
+      values.pop();
+    }
+  })(cage.target);
+  return tuples;
+}
+
+// The cages as letters beside the values, and a legend of their clues.
+function cageText(n, cages, assignment, clue) {
+  const letter = i => String.fromCharCode(i < 26 ? 65 + i : 97 + (i - 26) % 26);
+  const cageOf = {};
+  cages.forEach((cage, i) => cage.cells.forEach(cell => { cageOf[cell] = letter(i); }));
+  const width = String(n).length, lines = [];
+  for (let r = 1; r <= n; r++) {
+    const letters = [], values = [];
+    for (let c = 1; c <= n; c++) {
+      letters.push(cageOf[[r, c]] || '.');
+      values.push(String(assignment[[r, c]] || '.').padStart(width));
+    }
+    lines.push(letters.join(' ') + '    ' + values.join(' '));
+  }
+  lines.push('');
+  cages.forEach((cage, i) => lines.push(letter(i) + ': ' + clue(cage)));
+  return lines.join('\n');
+}
+
+// cages: [{cells: [[row, col], ...], sum}]. A 9 x 9 Sudoku (or size x size)
+// with no clues, where each cage's cells are distinct and add up to its sum.
+models.killerSudoku = function killerSudoku(cages, size) {
+  const n = size || 9, blocks = sudokuBlocks(n), model = latinSquare(n);
+  blocks.forEach(cells => model.allDifferent(cells));
+  cages.forEach((cage, i) => {
+    const name = 'cage ' + i + ' (' + cage.sum + ')';
+    const C = CSP.sum(cage.cells, '=', cage.sum);
+    C.name = name;
+    model.nary(C).allDifferent(cage.cells, { name: name + ' distinct' });
+  });
+  return withTools(buildGrid(model), {
+    verify(solution) {
+      const g = solvedGrid(n, solution), at = cells => cells.map(([r, c]) => g[r - 1][c - 1]);
+      return !!g && isLatin(g) &&
+        blocks.every(cells => new Set(at(cells)).size === n) &&
+        cages.every(cage => new Set(at(cage.cells)).size === cage.cells.length &&
+                            at(cage.cells).reduce((a, b) => a + b, 0) === cage.sum);
+    },
+    format(assignment) {
+      return cageText(n, cages, assignment, cage => String(cage.sum));
+    }
+  });
+};
+
+// grid: an n x n array of clues. inequalities: [[a, b], ...], each saying
+// cell a holds a smaller value than cell b.
+models.futoshiki = function futoshiki(grid, inequalities) {
+  const n = grid.length, model = latinSquare(n, grid);
+  // lt is a named relation, so the model adds the converse arc
+  inequalities.forEach(([a, b]) => model.binary(a, b, CSP.relations.lt));
+  return withTools(buildGrid(model), {
+    verify(solution) {
+      const g = solvedGrid(n, solution);
+      return !!g && isLatin(g) && keepsClues(g, grid) &&
+        inequalities.every(([a, b]) => g[a[0] - 1][a[1] - 1] < g[b[0] - 1][b[1] - 1]);
+    },
+    // Signs between neighbours: < and > across a row, ^ (the upper cell is
+    // smaller) and v down a column.
+    format(assignment) {
+      const width = String(n).length, sign = {};
+      inequalities.forEach(([a, b]) => {
+        const ka = String(a), kb = String(b);
+        if (a[0] === b[0]) sign[a[1] < b[1] ? ka : kb] = a[1] < b[1] ? '<' : '>';
+        else sign[(a[0] < b[0] ? ka : kb) + 'v'] = a[0] < b[0] ? '^' : 'v';
+      });
+      const lines = [];
+      for (let r = 1; r <= n; r++) {
+        let row = '', below = '';
+        for (let c = 1; c <= n; c++) {
+          row += String(assignment[[r, c]] || clueAt(grid, r, c) || '.').padStart(width);
+          below += (sign[[r, c] + 'v'] || ' ').padStart(width);
+          if (c < n) {
+            row += ' ' + (sign[[r, c]] || ' ') + ' ';
+            below += '   ';
+          }
+        }
+        lines.push(row.trimEnd());
+        if (r < n) lines.push(below.trimEnd());
+      }
+      return lines.join('\n');
+    }
+  });
+};
+
+// ---------------- Helpers ----------------
+
+function range(lo, hi) {
+  const out = [];
+  for (let v = lo; v <= hi; v++) out.push(v);
+  return out;
+}
+
+// verify and format travel with the problem; the solver ignores them.
+function withTools(problem, tools) {
+  problem.verify = tools.verify;
+  problem.format = assignment => tools.format(assignment || {});
+  return problem;
+}
+
+// ---------------- UMD export ----------------
+
+if (typeof define === 'function' && define.amd) {
+  define(models);
+} else if (typeof module === 'object' && module.exports) {
+  module.exports = models;
+} else {
+  this.cspModels = models;
+}
+
+}();
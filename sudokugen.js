@@ -0,0 +1,161 @@
+// sudokugen.js
+// Generates Sudoku puzzles that have exactly one solution, on N x N boards
+// with square blocks (4, 9, 16, 25), and grades how hard they were for the
+// solver.
+//
+// Usage example:
+//   const sudokugen = require('./sudokugen');
+//   const { puzzle, solution, grade } = sudokugen.generate({ size: 9, symmetry: 'rotational', seed: 7 });
+//   console.log(grade.level, sudokugen.isUnique(puzzle));
+!function() {
+
+const CSP = typeof require === 'function' ? require('./csp') : this.csp;
+const Models = typeof require === 'function' ? require('./models') : this.cspModels;
+
+// Cells that must be cleared together under each symmetry, given the cell
+// and the board size.
+const SYMMETRIES = {
+  none: (r, c) => [[r, c]],
+  rotational: (r, c, n) => [[r, c], [n - 1 - r, n - 1 - c]],  // half-turn
+  mirror: (r, c, n) => [[r, c], [r, n - 1 - c]],              // left-right
+  diagonal: (r, c) => [[r, c], [c, r]]                        // main diagonal
+};
+
+const sudokugen = {};
+
+// Returns {puzzle, solution, grade}. puzzle and solution are arrays of rows,
+// with 0 for the blanks of the puzzle. Options:
+//   size      cells per side, a square number (default 9)
+//   symmetry  'none', 'rotational' (default), 'mirror' or 'diagonal'
+//   seed      makes the puzzle reproducible
+//   minClues  stop clearing cells at this many clues
+//   timeoutMs stop clearing cells after this long. The puzzle is still unique,
+//             only not minimal. Large boards need one.
+sudokugen.generate = function generate(options) {
+  options = options || {};
+  const n = boardSize(options.size);
+  const symmetry = options.symmetry || 'rotational';
+  if (!SYMMETRIES[symmetry]) throw new Error('Unknown symmetry "' + symmetry + '"');
+  const seed = options.seed != null ? options.seed : Math.floor(Math.random() * 4294967296);
+  const random = CSP.seededRandom(seed), minClues = options.minClues || 0;
+  const deadline = options.timeoutMs != null ? Date.now() + options.timeoutMs : Infinity;
+
+  const solution = fullGrid(n, seed);
+  const puzzle = solution.map(row => row.slice());
+
+  // Clear the cells in random order, a symmetric group at a time, putting a
+  // group back whenever the puzzle stops having a single solution.
+  let clues = n * n;
+  const cells = CSP.shuffle(allCells(n), random);
+  for (let i = 0; i < cells.length && Date.now() < deadline; i++) {
+    const group = SYMMETRIES[symmetry](cells[i][0], cells[i][1], n).filter(([r, c]) => puzzle[r][c]);
+    if (!group.length || clues - group.length < minClues) continue;
+    group.forEach(([r, c]) => { puzzle[r][c] = 0; });
+    const remaining = deadline === Infinity ? null : Math.max(0, deadline - Date.now());
+    if (countUpTo2(puzzle, remaining) === 1) {
+      clues -= group.length;
+    } else {
+      group.forEach(([r, c]) => { puzzle[r][c] = solution[r][c]; });
+    }
+  }
+  return { puzzle: puzzle, solution: solution, grade: sudokugen.grade(puzzle) };
+};
+
+// The csp.js problem for a puzzle (see models.sudoku): variables [row, column],
+// both from 1, and an allDifferent per row, column and block.
+sudokugen.problem = function problem(puzzle) {
+  boardSize(puzzle.length);
+  return Models.sudoku(puzzle);
+};
+
+// Whether the puzzle has exactly one solution.
+sudokugen.isUnique = function isUnique(puzzle) {
+  return countUpTo2(puzzle, null) === 1;
+};
+
+// Grades a puzzle by what the solver needed to finish it. propagation counts
+// the allDifferent propagator runs before the first decision, that is, how
+// long the chains of deductions were; backtracks counts the decisions taken
+// back. Levels:
+//   easy    propagation alone fills every cell, in at most 4 runs per row,
+//           column and block
+//   medium  propagation alone fills every cell
+//   hard    search was needed, with at most n decisions taken back
+//   expert  more
+// Also returns clues, unresolved (cells still open when search started),
+// nodes, backtracks, propagation, and a score, propagation + n * backtracks,
+// that orders puzzles within a level.
+sudokugen.grade = function grade(puzzle) {
+  const n = boardSize(puzzle.length), stats = {};
+  const search = CSP.search(sudokugen.problem(puzzle), { stats: stats, events: ['assign', 'prune', 'solution'] });
+  let resolved = 0, propagation = null, solved = false;
+  for (const event of search) {
+    if (event.type === 'assign' && propagation === null) propagation = stats.propagatorCalls;
+    // Prune events before the first decision come from the root propagation
+    if (event.type === 'prune' && propagation === null && event.domain.length === 1) resolved++;
+    if (event.type === 'solution') { solved = true; break; }
+  }
+  if (!solved) throw new Error('The puzzle has no solution');
+  if (propagation === null) propagation = stats.propagatorCalls;
+  const clues = puzzle.reduce((sum, row) => sum + row.filter(v => v).length, 0);
+  const unresolved = n * n - clues - resolved;
+  let level = 'expert';
+  if (unresolved === 0) level = propagation <= 4 * 3 * n ? 'easy' : 'medium';
+  else if (stats.backtracks <= n) level = 'hard';
+  return {
+    level: level,
+    score: propagation + n * stats.backtracks,
+    clues: clues,
+    unresolved: unresolved,
+    nodes: stats.nodes,
+    backtracks: stats.backtracks,
+    propagation: propagation
+  };
+};
+
+// ---------------- Helpers ----------------
+
+function boardSize(size) {
+  const n = size == null ? 9 : size;
+  if (!(Number.isInteger(n) && n >= 4 && Number.isInteger(Math.sqrt(n)))) {
+    throw new Error('Board size must be a square number such as 4, 9, 16 or 25');
+  }
+  return n;
+}
+
+function allCells(n) {
+  const out = [];
+  for (let r = 0; r < n; r++) for (let c = 0; c < n; c++) out.push([r, c]);
+  return out;
+}
+
+// A random complete grid: the solver fills an empty board trying values in
+// random order.
+function fullGrid(n, seed) {
+  const empty = Array.from({ length: n }, () => new Array(n).fill(0));
+  const problem = sudokugen.problem(empty);
+  problem.heuristics = { variable: 'mrv', value: 'random', seed: seed };
+  const found = CSP.solve(problem);
+  return empty.map((row, r) => row.map((_, c) => found[[r + 1, c + 1]]));
+}
+
+// 0, 1 or 2 solutions, 2 standing for "more than one". A check that runs out
+// of time counts as 2, so the caller keeps its clues.
+function countUpTo2(puzzle, timeoutMs) {
+  const options = { limit: 2, stats: {} };
+  if (timeoutMs != null) options.timeoutMs = timeoutMs;
+  const count = CSP.count(sudokugen.problem(puzzle), options);
+  return options.stats.limit ? 2 : count;
+}
+
+// ---------------- UMD export ----------------
+
+if (typeof define === 'function' && define.amd) {
+  define(sudokugen);
+} else if (typeof module === 'object' && module.exports) {
+  module.exports = sudokugen;
+} else {
+  this.sudokugen = sudokugen;
+}
+
+}();
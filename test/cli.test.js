@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BIN = path.join(__dirname, '..', 'bin', 'cspjs');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cspjs-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function model(name, problem) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(problem));
+  return file;
+}
+
+function cspjs(args, input) {
+  return childProcess.spawnSync(process.execPath, [BIN].concat(args), { input: input, encoding: 'utf8', timeout: 60000 });
+}
+
+const sat = model('sat.json', {
+  variables: { a: [1, 2], b: [1, 2] },
+  constraints: [{ relation: 'neq', vars: ['a', 'b'] }]
+});
+const unsat = model('unsat.json', {
+  variables: { a: [1], b: [1] },
+  constraints: [{ relation: 'neq', vars: ['a', 'b'] }]
+});
+
+// 14 pigeons in 13 holes, as pairwise != that arc consistency cannot refute
+function pigeonholes() {
+  const variables = {}, constraints = [];
+  for (let i = 0; i < 14; i++) {
+    variables['x' + i] = Array.from({ length: 13 }, (_, v) => v);
+    for (let j = 0; j < i; j++) constraints.push({ relation: 'neq', vars: ['x' + j, 'x' + i] });
+  }
+  return { variables: variables, constraints: constraints };
+}
+
+test('exit 0 prints the solution', () => {
+  const run = cspjs(['solve', sat]);
+  assert.strictEqual(run.status, 0);
+  const solution = JSON.parse(run.stdout);
+  assert.notStrictEqual(solution.a, solution.b);
+});
+
+test('exit 1 prints FAILURE', () => {
+  const run = cspjs(['solve', unsat]);
+  assert.strictEqual(run.status, 1);
+  assert.strictEqual(JSON.parse(run.stdout), 'FAILURE');
+});
+
+test('exit 2 for bad options and models', () => {
+  let run = cspjs(['solve', '--stat', sat]);
+  assert.strictEqual(run.status, 2);
+  assert.match(run.stderr, /Unknown option --stat\b/);
+  run = cspjs(['solve', '--bogus', sat]);
+  assert.strictEqual(run.status, 2);
+  assert.match(run.stderr, /Unknown option --bogus/);
+  assert.strictEqual(cspjs(['solve', '-x', sat]).status, 2);
+  assert.strictEqual(cspjs(['solve', '--stats=yes', sat]).status, 2);
+  assert.strictEqual(cspjs(['solve', path.join(dir, 'missing.json')]).status, 2);
+});
+
+test('exit 3 when the timeout strikes first', () => {
+  const run = cspjs(['solve', model('hole.json', pigeonholes()), '--timeout=100']);
+  assert.strictEqual(run.status, 3);
+  assert.strictEqual(JSON.parse(run.stdout), 'TIMEOUT');
+});
+
+test('--all streams one solution per line, from standard input too', () => {
+  const run = cspjs(['solve', '-', '--all'], fs.readFileSync(sat, 'utf8'));
+  assert.strictEqual(run.status, 0);
+  assert.strictEqual(run.stdout.trim().split('\n').length, 2);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+const models = require('../models');
+
+const neq = csp.relations.neq, lt = csp.relations.lt;
+
+// Three unconnected parts: a triangle to color, a chain a < b < c, and a free variable
+function threeParts() {
+  return csp.model()
+    .variables(['r', 's', 't'], [1, 2, 3, 4])
+    .binary('r', 's', neq).binary('s', 't', neq).binary('r', 't', neq)
+    .variables(['a', 'b', 'c'], [1, 2, 3, 4, 5])
+    .binary('a', 'b', lt).binary('b', 'c', lt)
+    .variable('free', [1, 2, 3])
+    .build();
+}
+
+test('decompose counts the same as a whole search', () => {
+  const stats = {};
+  assert.strictEqual(csp.count(threeParts()), 24 * 10 * 3);
+  assert.strictEqual(csp.count(threeParts(), { decompose: true, stats: stats }), 720);
+  assert.strictEqual(stats.components, 3);
+  assert.strictEqual(stats.solutions, 720);
+  const hawaii = { AK: [], HI: [], WA: ['OR'], OR: ['WA'] };
+  const coloring = models.graphColoring(hawaii, 3);
+  assert.strictEqual(csp.count(coloring, { decompose: true }), csp.count(coloring));
+});
+
+test('decompose solutions are valid and in declaration order', () => {
+  const problem = threeParts();
+  const solution = csp.solve(problem, { decompose: true });
+  assert.deepStrictEqual(Object.keys(solution), Object.keys(problem.variables));
+  assert.ok(solution.a < solution.b && solution.b < solution.c);
+  assert.strictEqual(new Set([solution.r, solution.s, solution.t]).size, 3);
+});
+
+test('a failing part fails the whole problem', () => {
+  const problem = threeParts();
+  problem.variables.c = [1, 2];
+  assert.strictEqual(csp.solve(problem, { decompose: true }), csp.FAILURE);
+  assert.strictEqual(csp.count(problem, { decompose: true }), 0);
+  assert.strictEqual(csp.solve(problem, { decompose: true, explain: true }).status, csp.UNSAT);
+});
+
+test("decompose: 'trees' solves tree-shaped parts without search", () => {
+  const stats = {};
+  const solution = csp.solve(threeParts(), { decompose: 'trees', stats: stats });
+  assert.strictEqual(stats.treeComponents, 2);
+  assert.ok(solution.a < solution.b && solution.b < solution.c);
+  const star = csp.model().variables(['hub', 'x', 'y', 'z'], [1, 2]);
+  ['x', 'y', 'z'].forEach(v => star.binary('hub', v, neq));
+  const starStats = {};
+  const colored = csp.solve(star.build(), { decompose: 'trees', stats: starStats });
+  assert.strictEqual(starStats.backtracks, 0);
+  ['x', 'y', 'z'].forEach(v => assert.notStrictEqual(colored[v], colored.hub));
+  const tight = star.variable('hub', [1]).variables(['x'], [1]).build();
+  assert.strictEqual(csp.solve(tight, { decompose: 'trees' }), csp.FAILURE);
+});
+
+test('count limits and search limits carry across the parts', () => {
+  assert.strictEqual(csp.count(threeParts(), { decompose: true, limit: 100 }), 100);
+  const stats = {};
+  const result = csp.solve(models.nQueens(10), { decompose: true, maxNodes: 3, stats: stats });
+  assert.strictEqual(result.status, csp.UNKNOWN);
+  assert.strictEqual(stats.limit, 'maxNodes');
+});
+
+test('optimizations are searched whole', () => {
+  const problem = threeParts();
+  problem.objective = s => s.a + s.free;
+  const stats = {};
+  const solution = csp.solve(problem, { decompose: true, stats: stats });
+  assert.strictEqual(stats.components, undefined);
+  assert.strictEqual(solution.a + solution.free, 2);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const formats = require('../formats');
+
+function instance(constraints) {
+  return '<instance format="XCSP3" type="CSP">' +
+    '<variables><var id="x"> 0..2 </var><var id="y"> 0..2 </var></variables>' +
+    '<constraints>' + constraints + '</constraints></instance>';
+}
+
+test('an extension constraint with supports parses', () => {
+  const problem = formats.parseXCSP3(instance(
+    '<extension id="c1"><list> x y </list><supports> (0,1)(1,2) </supports></extension>'));
+  assert.strictEqual(problem.naryConstraints.length, 1);
+});
+
+test('an extension without supports or conflicts is an XCSP3 error', () => {
+  assert.throws(() => formats.parseXCSP3(instance('<extension id="c1"><list> x y </list></extension>')),
+                { message: 'XCSP3: <extension id="c1"> has neither <supports> nor <conflicts>' });
+  assert.throws(() => formats.parseXCSP3(instance('<extension><list> x y </list></extension>')),
+                /^Error: XCSP3: <extension> has neither/);
+});
+
+test('an array without a size is an XCSP3 error', () => {
+  const array = attrs => '<instance format="XCSP3" type="CSP"><variables><array' + attrs + '> 0..2 </array></variables></instance>';
+  assert.throws(() => formats.parseXCSP3(array(' id="x"')), { message: 'XCSP3: <array id="x"> needs a size' });
+  assert.throws(() => formats.parseXCSP3(array(' id="x" size=""')), { message: 'XCSP3: <array id="x"> needs a size' });
+  const problem = formats.parseXCSP3(array(' id="x" size="[2]"'));
+  assert.deepStrictEqual(Object.keys(problem.variables), ['x[0]', 'x[1]']);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+
+const neq = csp.relations.neq;
+
+// The domains propagation leaves before any search
+function propagated(problem) {
+  return csp.createSolver(problem).possibleValues();
+}
+
+// The same scope with a plain predicate, so only the search can enforce it
+function asPredicate(C) {
+  return { vars: C.vars, predicate: C.predicate };
+}
+
+function countBoth(variables, C) {
+  const global = csp.count({ variables: variables, naryConstraints: [C] });
+  const plain = csp.count({ variables: variables, naryConstraints: [asPredicate(C)] });
+  assert.strictEqual(global, plain);
+  return global;
+}
+
+test('allDifferent removes a value that pairwise != keeps', () => {
+  const variables = { x: [1, 2], y: [1, 2], z: [1, 2, 3] };
+  assert.deepStrictEqual(propagated({ variables: variables, naryConstraints: [csp.allDifferent(['x', 'y', 'z'])] }).z, [3]);
+  const pairs = [['x', 'y'], ['y', 'x'], ['x', 'z'], ['z', 'x'], ['y', 'z'], ['z', 'y']].map(([a, b]) => [a, b, neq]);
+  assert.deepStrictEqual(propagated({ variables: variables, constraints: pairs }).z, [1, 2, 3]);
+  assert.strictEqual(countBoth(variables, csp.allDifferent(['x', 'y', 'z'])), 2);
+});
+
+test('allDifferent fails three variables on two values at the root', () => {
+  const solver = csp.createSolver({
+    variables: { x: [1, 2], y: [1, 2], z: [1, 2] },
+    naryConstraints: [csp.allDifferent(['x', 'y', 'z'])]
+  });
+  assert.strictEqual(solver.consistent(), false);
+});
+
+test('sum and linear narrow bounds', () => {
+  const digits = { a: range(0, 9), b: range(0, 9), c: range(0, 9) };
+  const sum = csp.sum(['a', 'b', 'c'], '=', 25);
+  assert.deepStrictEqual(propagated({ variables: digits, naryConstraints: [sum] }).a, [7, 8, 9]);
+  assert.strictEqual(countBoth(digits, sum), 6);
+  const linear = csp.linear([2, 3], ['a', 'b'], '=', 12);
+  const small = { a: range(0, 6), b: range(0, 6) };
+  assert.deepStrictEqual(propagated({ variables: small, naryConstraints: [linear] }).b, [0, 1, 2, 3, 4]);
+  assert.deepStrictEqual(csp.solveAll({ variables: small, naryConstraints: [linear] }).sort((s, t) => s.a - t.a),
+    [{ a: 0, b: 4 }, { a: 3, b: 2 }, { a: 6, b: 0 }]);
+  ['<', '<=', '>', '>=', '!='].forEach(op => countBoth(small, csp.linear([1, -1], ['a', 'b'], op, 2)));
+  assert.throws(() => csp.linear([1], ['a', 'b'], '=', 1), /one coefficient per variable/);
+  assert.throws(() => csp.sum(['a'], '~', 1), /Unknown linear operator/);
+});
+
+test('table keeps only supported values', () => {
+  const table = csp.table(['a', 'b'], [[1, 2], [2, 3], [3, 3]]);
+  const variables = { a: [1, 2, 3], b: [1, 3] };
+  assert.deepStrictEqual(propagated({ variables: variables, naryConstraints: [table] }), { a: [2, 3], b: [3] });
+  assert.strictEqual(countBoth(variables, table), 2);
+});
+
+test('element ties an index to an array entry', () => {
+  const element = csp.element('i', ['x', 'y', 'z'], 'v');
+  const variables = { i: [0, 1, 2, 3], x: [1], y: [2], z: [3], v: [2, 3, 4] };
+  assert.deepStrictEqual(propagated({ variables: variables, naryConstraints: [element] }).i, [1, 2]);
+  assert.strictEqual(countBoth(variables, element), 2);
+});
+
+test('times narrows all three variables', () => {
+  const times = csp.times('x', 'y', 'z');
+  const variables = { x: range(1, 5), y: range(1, 5), z: [12, 20] };
+  const domains = propagated({ variables: variables, naryConstraints: [times] });
+  assert.ok(domains.x.indexOf(1) === -1 && domains.y.indexOf(1) === -1);
+  assert.strictEqual(countBoth(variables, times), 4);
+});
+
+test('global constraints work in the model builder and in JSON', () => {
+  const problem = csp.model()
+    .variables(['a', 'b', 'c'], [1, 2, 3])
+    .allDifferent(['a', 'b', 'c'])
+    .nary(csp.sum(['a', 'b'], '=', 3))
+    .build();
+  assert.strictEqual(csp.count(problem), 2);
+  assert.strictEqual(csp.count(csp.fromJSON(csp.toJSON(problem))), 2);
+});
+
+function range(lo, hi) {
+  const out = [];
+  for (let v = lo; v <= hi; v++) out.push(v);
+  return out;
+}
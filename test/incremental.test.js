@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+
+const neq = csp.relations.neq;
+
+// x < y as an n-ary constraint, so it prunes both sides
+function less(x, y) {
+  return { vars: [x, y], predicate: s => s[x] < s[y] };
+}
+
+function base() {
+  return {
+    variables: { a: [1, 2, 3, 4], b: [1, 2, 3, 4], c: [1, 2, 3, 4] },
+    naryConstraints: [less('a', 'b')]
+  };
+}
+
+// What propagating the solver's current problem from scratch gives, checked
+// against the solver's own store and against the solutions of a fresh solve.
+function agreesWithFresh(solver) {
+  const problem = solver.problem();
+  const fresh = csp.createSolver(problem);
+  assert.deepStrictEqual(solver.possibleValues(), fresh.possibleValues());
+  assert.strictEqual(solver.consistent(), fresh.consistent());
+  const solutions = csp.solveAll(problem);
+  if (!solver.consistent()) return assert.strictEqual(solutions.length, 0);
+  const possible = solver.possibleValues();
+  const allows = (dom, value) => Array.isArray(dom) ? dom.indexOf(value) !== -1 : value >= dom.min && value <= dom.max;
+  solutions.forEach(s => Object.keys(s).forEach(v => assert.ok(allows(possible[v], s[v]))));
+  const solution = solver.solve();
+  assert.strictEqual(solution === csp.FAILURE, solutions.length === 0);
+}
+
+test('add, assume, remove an earlier constraint, retract', () => {
+  const solver = csp.createSolver(base());
+  agreesWithFresh(solver);
+  const bc = less('b', 'c');
+  solver.addConstraint(bc);
+  assert.deepStrictEqual(solver.possibleValues('b'), [2, 3]);
+  agreesWithFresh(solver);
+  solver.assume('a', 2);
+  assert.deepStrictEqual(solver.possibleValues(), { a: [2], b: [3], c: [4] });
+  agreesWithFresh(solver);
+  // Undoing bc replays the assumption made after it
+  solver.removeConstraint(bc);
+  assert.deepStrictEqual(solver.possibleValues(), { a: [2], b: [3, 4], c: [1, 2, 3, 4] });
+  agreesWithFresh(solver);
+  solver.retract('a');
+  assert.deepStrictEqual(solver.possibleValues('a'), [1, 2, 3]);
+  agreesWithFresh(solver);
+});
+
+test('removing a constraint of the original problem rebuilds the store', () => {
+  const problem = base(), solver = csp.createSolver(problem);
+  solver.assume('b', 1);
+  assert.strictEqual(solver.consistent(), false);
+  assert.deepStrictEqual(solver.possibleValues('c'), []);
+  solver.removeConstraint(problem.naryConstraints[0]);
+  assert.strictEqual(solver.consistent(), true);
+  assert.deepStrictEqual(solver.possibleValues('a'), [1, 2, 3, 4]);
+  assert.deepStrictEqual(solver.possibleValues('b'), [1]);
+  agreesWithFresh(solver);
+});
+
+test('setDomain narrows in place and widens by rebuilding', () => {
+  const solver = csp.createSolver(base());
+  solver.addConstraint(['b', 'c', neq]);
+  solver.setDomain('b', [1, 2]);
+  assert.deepStrictEqual(solver.possibleValues('a'), [1]);
+  assert.deepStrictEqual(solver.possibleValues('b'), [2]);
+  agreesWithFresh(solver);
+  solver.setDomain('b', [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(solver.possibleValues('a'), [1, 2, 3, 4]);
+  agreesWithFresh(solver);
+  solver.setDomain('d', { min: 1, max: 3 });
+  assert.deepStrictEqual(solver.possibleValues('d'), { min: 1, max: 3 });
+  agreesWithFresh(solver);
+});
+
+test('retract() with no name drops every assumption', () => {
+  const solver = csp.createSolver(base());
+  solver.assume('a', 3).assume('c', 1).assume('b', 1);
+  assert.strictEqual(solver.consistent(), false);
+  agreesWithFresh(solver);
+  solver.retract();
+  assert.strictEqual(solver.consistent(), true);
+  assert.deepStrictEqual(solver.possibleValues(), { a: [1, 2, 3], b: [2, 3, 4], c: [1, 2, 3, 4] });
+  agreesWithFresh(solver);
+  assert.throws(() => solver.assume('z', 1), /Unknown variable "z"/);
+});
+
+test('a random sequence of changes agrees with fresh propagation', () => {
+  const random = csp.seededRandom(11), pick = list => list[Math.floor(random() * list.length)];
+  const names = ['a', 'b', 'c'], solver = csp.createSolver(base()), added = [];
+  for (let step = 0; step < 60; step++) {
+    const move = pick(['add', 'remove', 'assume', 'retract', 'domain']);
+    if (move === 'add') {
+      const x = pick(names), y = pick(names);
+      if (x === y) continue;
+      const c = random() < 0.5 ? less(x, y) : [x, y, neq];
+      added.push(c);
+      solver.addConstraint(c);
+    } else if (move === 'remove' && added.length) {
+      solver.removeConstraint(added.splice(Math.floor(random() * added.length), 1)[0]);
+    } else if (move === 'assume') {
+      solver.assume(pick(names), pick([1, 2, 3, 4]));
+    } else if (move === 'retract') {
+      solver.retract(random() < 0.2 ? undefined : pick(names));
+    } else if (move === 'domain') {
+      solver.setDomain(pick(names), [1, 2, 3, 4].filter(() => random() < 0.8));
+    }
+    agreesWithFresh(solver);
+  }
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+const models = require('../models');
+
+const neq = csp.relations.neq;
+
+// n + 1 pigeons in n holes, as pairwise != that arc consistency cannot refute
+function pigeonholes(n) {
+  const variables = {}, constraints = [];
+  for (let i = 0; i <= n; i++) {
+    variables['x' + i] = Array.from({ length: n }, (_, v) => v);
+    for (let j = 0; j < i; j++) constraints.push(['x' + j, 'x' + i, neq], ['x' + i, 'x' + j, neq]);
+  }
+  return { variables: variables, constraints: constraints };
+}
+
+test('maxNodes returns UNKNOWN with the partial assignment', () => {
+  const stats = {};
+  const result = csp.solve(pigeonholes(9), { maxNodes: 100, stats: stats });
+  assert.strictEqual(result.status, csp.UNKNOWN);
+  assert.strictEqual(result.reason, 'maxNodes');
+  assert.strictEqual(result.solution, null);
+  assert.ok(Object.keys(result.partial).length > 0);
+  assert.strictEqual(stats.nodes, 100);
+  assert.strictEqual(stats.limit, 'maxNodes');
+  assert.strictEqual(result.stats, stats);
+});
+
+test('maxBacktracks and timeoutMs stop the search too', () => {
+  const stats = {};
+  assert.strictEqual(csp.solve(pigeonholes(9), { maxBacktracks: 20, stats: stats }).reason, 'maxBacktracks');
+  assert.strictEqual(stats.backtracks, 20);
+  const started = Date.now();
+  assert.strictEqual(csp.solve(pigeonholes(12), { timeoutMs: 50 }).reason, 'timeoutMs');
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('count and solveAll stop at a limit and name it in stats', () => {
+  const stats = {};
+  const n = csp.count(models.nQueens(8), { maxNodes: 200, stats: stats });
+  assert.ok(n < 92);
+  assert.strictEqual(stats.limit, 'maxNodes');
+  const allStats = {};
+  assert.ok(csp.solveAll(models.nQueens(8), { maxBacktracks: 50, stats: allStats }).length < 92);
+  assert.strictEqual(allStats.limit, 'maxBacktracks');
+});
+
+test('a search inside its limits is unaffected', () => {
+  const stats = {};
+  const solution = csp.solve(models.nQueens(6), { maxNodes: 1e6, timeoutMs: 60000, stats: stats });
+  assert.ok(models.nQueens(6).verify(solution));
+  assert.strictEqual(stats.limit, null);
+  assert.strictEqual(csp.count(models.nQueens(6), { maxNodes: 1e6 }), 4);
+  assert.strictEqual(csp.solve(pigeonholes(3), { maxNodes: 1e6 }), csp.FAILURE);
+});
+
+test('an optimization stopped early keeps its best solution', () => {
+  const variables = {};
+  for (let i = 0; i < 10; i++) variables['x' + i] = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  const problem = {
+    variables: variables,
+    naryConstraints: [csp.allDifferent(Object.keys(variables))],
+    objective: s => s.x0 * 10 + s.x1 - s.x9,
+    maximize: true
+  };
+  const result = csp.solve(problem, { maxNodes: 40 });
+  assert.strictEqual(result.status, csp.UNKNOWN);
+  assert.ok(result.solution);
+  assert.strictEqual(new Set(Object.values(result.solution)).size, 10);
+});
+
+test('limits must be non-negative numbers', () => {
+  assert.throws(() => csp.solve(pigeonholes(2), { maxNodes: -1 }), /maxNodes must be a non-negative number/);
+  assert.throws(() => csp.solve(pigeonholes(2), { timeoutMs: '5' }), /timeoutMs must be a non-negative number/);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+const models = require('../models');
+
+function clued() {
+  const grid = Array.from({ length: 4 }, () => [0, 0, 0, 0]);
+  grid[0][0] = 1;
+  return models.sudoku(grid);
+}
+
+test('strict throws on warnings, such as the values clues rule out', () => {
+  const codes = csp.lint(clued()).map(d => d.code);
+  assert.ok(codes.indexOf('unreachable-value') !== -1);
+  assert.throws(() => csp.solve(clued(), { strict: true }), err => {
+    assert.ok(err.diagnostics.every(d => d.severity === 'warning'));
+    return /unreachable-value/.test(err.message);
+  });
+});
+
+test("strict: 'errors' ignores warnings and still throws on errors", () => {
+  const solution = csp.solve(clued(), { strict: 'errors' });
+  assert.strictEqual(solution['1,1'], 1);
+  const broken = { variables: { a: [1, 2] }, constraints: [['a', 'b', csp.relations.neq]] };
+  assert.throws(() => csp.solve(broken, { strict: 'errors' }), /unknown-variable/);
+});
+
+test("an infeasible but well-formed problem is a warning, so strict: 'errors' solves it", () => {
+  const problem = { variables: { a: [1], b: [1] }, constraints: [['a', 'b', csp.relations.neq], ['b', 'a', csp.relations.neq]] };
+  const unsat = csp.lint(problem).find(d => d.code === 'unsatisfiable');
+  assert.strictEqual(unsat.severity, 'warning');
+  assert.strictEqual(csp.solve(problem, { strict: 'errors' }), csp.FAILURE);
+  assert.strictEqual(csp.solve(problem, { strict: 'errors', structured: true }).status, csp.UNSAT);
+  assert.throws(() => csp.solve(problem, { strict: true }), /unsatisfiable/);
+});
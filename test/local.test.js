@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+const models = require('../models');
+
+test('minConflicts solves a large n-queens and repeats with a seed', () => {
+  const board = models.nQueens(40);
+  const stats = {};
+  const solution = csp.solve(board, { engine: 'minConflicts', seed: 4, stats: stats });
+  assert.ok(board.verify(solution));
+  assert.strictEqual(stats.violations, 0);
+  assert.deepStrictEqual(csp.solve(board, { engine: 'minConflicts', seed: 4 }), solution);
+});
+
+test('minConflicts refuses to optimize', () => {
+  const problem = models.graphColoring([['a', 'b'], ['b', 'c']], 3);
+  problem.objective = s => s.a + s.b + s.c;
+  assert.throws(() => csp.solve(problem, { engine: 'minConflicts' }), /cannot optimize/);
+  const soft = models.graphColoring([['a', 'b']], 2);
+  soft.constraints.push(['a', 'a', (x, y) => x === 1, 'a is 1', { soft: true }]);
+  assert.throws(() => csp.solve(soft, { engine: 'minConflicts' }), /cannot optimize/);
+  delete problem.objective;
+  assert.ok(problem.verify(csp.solve(problem, { engine: 'minConflicts', seed: 1 })));
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+const models = require('../models');
+
+// 1 2 3 / 3 1 2 / 2 3 1, with one cage of each kind
+function kenken() {
+  return models.kenken(3, [
+    { cells: [[1, 1], [2, 1]], op: '-', target: 2 },
+    { cells: [[1, 2], [1, 3]], op: '*', target: 6 },
+    { cells: [[2, 2], [2, 3]], op: '/', target: 2 },
+    { cells: [[3, 1], [3, 2]], op: '+', target: 5 },
+    { cells: [[3, 3]], op: '=', target: 1 }
+  ]);
+}
+
+test('a KenKen solves in workers', async () => {
+  const puzzle = kenken();
+  const result = await csp.solveParallel(puzzle, { workers: 2, structured: true });
+  assert.strictEqual(result.status, csp.SAT);
+  assert.ok(puzzle.verify(result.solution));
+});
+
+test('KenKen cages agree with verify', () => {
+  const puzzle = kenken();
+  const solutions = csp.solveAll(puzzle);
+  assert.ok(solutions.length > 0);
+  solutions.forEach(s => assert.ok(puzzle.verify(s)));
+  assert.throws(() => models.kenken(3, [{ cells: [[1, 1]], op: '-', target: 1 }]), /needs exactly two cells/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+
+// Three variables over 1..4 with a != b; the objective is the largest value.
+function minMax() {
+  return {
+    variables: { a: [1, 2, 3, 4], b: [1, 2, 3, 4], c: [1, 2, 3, 4] },
+    constraints: [['a', 'b', csp.relations.neq], ['b', 'a', csp.relations.neq]],
+    objective: s => Math.max(s.a, s.b, s.c)
+  };
+}
+
+test('per-variable bounds prune and keep the optimum', () => {
+  const plain = {}, bounded = {};
+  const withBounds = minMax();
+  // The largest value is at least the smallest value left to each variable
+  withBounds.bounds = {};
+  ['a', 'b', 'c'].forEach(v => { withBounds.bounds[v] = dom => Math.min.apply(null, dom); });
+  const best = csp.solve(minMax(), { stats: plain });
+  const bestBounded = csp.solve(withBounds, { stats: bounded });
+  assert.strictEqual(Math.max(best.a, best.b, best.c), 2);
+  assert.strictEqual(Math.max(bestBounded.a, bestBounded.b, bestBounded.c), 2);
+  assert.ok(bounded.nodes < plain.nodes, bounded.nodes + ' < ' + plain.nodes);
+});
+
+test('bounds must name variables and be functions', () => {
+  assert.throws(() => csp.solve(Object.assign(minMax(), { bounds: { z: () => 0 } })), /unknown variable "z"/);
+  assert.throws(() => csp.solve(Object.assign(minMax(), { bounds: { a: 1 } })), /bounds.a is not a function/);
+});
+
+test('count and solveAll see every solution of an optimization', () => {
+  assert.strictEqual(csp.count(minMax()), 48);
+  assert.strictEqual(csp.solveAll(minMax()).length, 48);
+  assert.strictEqual(csp.count(minMax(), { limit: 5 }), 5);
+});
+
+test('count ignores soft constraints except for maxViolations', () => {
+  const soft = {
+    variables: { a: [1, 2], b: [1, 2] },
+    constraints: [['a', 'b', csp.relations.eq, { weight: 2 }], ['a', 'b', csp.relations.neq, { weight: 1 }]]
+  };
+  assert.strictEqual(csp.count(soft), 4);
+  assert.strictEqual(csp.count(soft, { maxViolations: 1 }), 2);
+});
+
+test('solutions still yields improving solutions unless enumerate is set', () => {
+  const values = Array.from(csp.solutions(minMax()), s => Math.max(s.a, s.b, s.c));
+  values.slice(1).forEach((v, i) => assert.ok(v < values[i]));
+  assert.strictEqual(values[values.length - 1], 2);
+  assert.strictEqual(Array.from(csp.solutions(minMax(), { enumerate: true })).length, 48);
+});
+
+test('hasSoftConstraints finds weights in problems and in JSON', () => {
+  const hard = { variables: { a: [1, 2], b: [1, 2] }, constraints: [['a', 'b', csp.relations.neq]] };
+  assert.strictEqual(csp.hasSoftConstraints(hard), false);
+  hard.constraints[0].push({ soft: true });
+  assert.strictEqual(csp.hasSoftConstraints(hard), true);
+  const json = csp.fromJSON({
+    variables: { a: [1, 2], b: [1, 2] },
+    constraints: [{ vars: ['a', 'b'], relation: 'neq', weight: 3 }]
+  });
+  assert.strictEqual(csp.hasSoftConstraints(json), true);
+});
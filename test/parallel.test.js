@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+
+function closureProblem(k) {
+  return {
+    variables: { a: [1, 2, 3, 4], b: [1, 2, 3, 4] },
+    naryConstraints: [{ vars: ['a', 'b'], predicate: s => s.a + s.b > k * 2 }]
+  };
+}
+
+test('a self-contained n-ary predicate solves in workers', async () => {
+  const problem = closureProblem(3);
+  problem.naryConstraints[0].predicate = s => s.a + s.b > 6;
+  const result = await csp.solveParallel(problem, { workers: 2, structured: true });
+  assert.strictEqual(result.status, csp.SAT);
+  assert.ok(result.solution.a + result.solution.b > 6);
+});
+
+test('an n-ary predicate that reads a closure variable rejects instead of UNSAT', async () => {
+  const problem = closureProblem(3);
+  assert.ok(csp.solve(problem).a + csp.solve(problem).b > 6);
+  await assert.rejects(csp.solveParallel(problem, { workers: 2 }), /k is not defined/);
+});
+
+test('a binary predicate that reads a closure variable rejects', async () => {
+  const k = 1;
+  const problem = {
+    variables: { a: [1, 2], b: [1, 2] },
+    constraints: [['a', 'b', (x, y) => x + k === y]]
+  };
+  await assert.rejects(csp.solveParallel(problem, { workers: 1 }), /k is not defined/);
+});
+
+test('a predicate that throws a TypeError agrees with the plain solve', async () => {
+  const problem = {
+    variables: { a: [1, 2], b: [1, 2] },
+    naryConstraints: [{ vars: ['a', 'b'], predicate: s => s.a === 2 ? s.nope.x : s.a !== s.b }]
+  };
+  const plain = csp.solve(problem);
+  assert.deepStrictEqual(plain, { a: 1, b: 2 });
+  assert.deepStrictEqual(await csp.solveParallel(problem, { workers: 2 }), plain);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+const models = require('../models');
+
+const neq = csp.relations.neq;
+
+// n + 1 pigeons in n holes, as pairwise != that arc consistency cannot refute
+function pigeonholes(n) {
+  const variables = {}, constraints = [];
+  for (let i = 0; i <= n; i++) {
+    variables['x' + i] = Array.from({ length: n }, (_, v) => v);
+    for (let j = 0; j < i; j++) constraints.push(['x' + j, 'x' + i, neq], ['x' + i, 'x' + j, neq]);
+  }
+  return { variables: variables, constraints: constraints };
+}
+
+// The failed decisions of each run: an assign the search backtracks from at
+// once failed in propagation. Restarts arrive through the trace, in order.
+function failsPerRun(problem, options) {
+  const runs = [0];
+  let last = null;
+  const trace = line => {
+    if (JSON.parse(line).type === 'restart') {
+      runs.push(0);
+      last = null;
+    }
+  };
+  const search = csp.search(problem, Object.assign({ events: ['assign', 'backtrack'], trace: trace }, options));
+  for (const event of search) {
+    if (event.type === 'backtrack' && last === 'assign') runs[runs.length - 1]++;
+    last = event.type;
+  }
+  return runs;
+}
+
+test('luby restarts follow the Luby sequence', () => {
+  const runs = failsPerRun(pigeonholes(7), { restarts: { policy: 'luby', scale: 1 }, seed: 1, maxNodes: 3000 });
+  assert.deepStrictEqual(runs.slice(0, 15), [1, 1, 2, 1, 1, 2, 4, 1, 1, 2, 1, 1, 2, 4, 8]);
+  const scaled = failsPerRun(pigeonholes(7), { restarts: { policy: 'luby', scale: 3 }, seed: 1, maxNodes: 3000 });
+  assert.deepStrictEqual(scaled.slice(0, 7), [3, 3, 6, 3, 3, 6, 12]);
+});
+
+test('geometric restarts grow by the factor', () => {
+  const runs = failsPerRun(pigeonholes(7), { restarts: { policy: 'geometric', scale: 2, factor: 2 }, seed: 1, maxNodes: 3000 });
+  assert.deepStrictEqual(runs.slice(0, 5), [2, 4, 8, 16, 32]);
+});
+
+test('restarts with nogoods stay complete and never repeat a solution', () => {
+  const stats = {};
+  assert.strictEqual(csp.solve(pigeonholes(6), { restarts: 'luby', seed: 2, stats: stats }), csp.FAILURE);
+  assert.ok(stats.restarts > 0);
+  assert.ok(stats.nogoods > 0);
+  const options = { restarts: { policy: 'luby', scale: 2 }, seed: 3 };
+  const solutions = csp.solveAll(models.nQueens(6), options);
+  assert.strictEqual(solutions.length, 4);
+  assert.strictEqual(new Set(solutions.map(s => JSON.stringify(s))).size, 4);
+  assert.strictEqual(csp.count(models.nQueens(8), options), 92);
+});
+
+test('a seed makes randomized searches repeatable', () => {
+  const run = seed => {
+    const stats = {};
+    const solution = csp.solve(models.nQueens(12), { restarts: 'geometric', randomize: true, seed: seed, stats: stats });
+    return [solution, stats.nodes, stats.restarts];
+  };
+  assert.deepStrictEqual(run(7), run(7));
+  const orders = [1, 2, 3, 4].map(seed => JSON.stringify(csp.solve(models.nQueens(8), { randomize: true, seed: seed })));
+  assert.ok(new Set(orders).size > 1);
+});
+
+test('an unknown restart policy throws', () => {
+  assert.throws(() => csp.solve(pigeonholes(2), { restarts: 'fibonacci' }), /Unknown restart policy "fibonacci"/);
+});
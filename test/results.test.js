@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+
+const neq = csp.relations.neq;
+
+function impossible() {
+  return { variables: { a: [1], b: [1] }, constraints: [['a', 'b', neq, 'a/b']] };
+}
+
+test('status constants', () => {
+  assert.strictEqual(csp.SAT, 'SAT');
+  assert.strictEqual(csp.UNSAT, 'UNSAT');
+  assert.strictEqual(csp.UNKNOWN, 'UNKNOWN');
+  assert.strictEqual(csp.FAILURE, 'FAILURE');
+});
+
+test('structured results: SAT and UNSAT', () => {
+  const sat = csp.solve({ variables: { a: [1, 2] } }, { structured: true });
+  assert.strictEqual(sat.status, csp.SAT);
+  assert.deepStrictEqual(sat.solution, { a: 1 });
+  assert.strictEqual(typeof sat.stats.nodes, 'number');
+  const unsat = csp.solve(impossible(), { structured: true });
+  assert.deepStrictEqual([unsat.status, unsat.solution], [csp.UNSAT, null]);
+  assert.strictEqual(csp.solve(impossible()), csp.FAILURE);
+});
+
+test('a value of "FAILURE" is still a solution', () => {
+  const result = csp.solve({ variables: { outcome: ['FAILURE'] } }, { structured: true });
+  assert.strictEqual(result.status, csp.SAT);
+  assert.deepStrictEqual(result.solution, { outcome: 'FAILURE' });
+});
+
+test('structured results: UNKNOWN and the given stats object', () => {
+  const variables = {}, constraints = [];
+  for (let i = 0; i < 8; i++) {
+    variables['x' + i] = [0, 1, 2, 3, 4, 5, 6];
+    for (let j = 0; j < i; j++) constraints.push(['x' + j, 'x' + i, neq], ['x' + i, 'x' + j, neq]);
+  }
+  const stats = {};
+  const result = csp.solve({ variables: variables, constraints: constraints }, { structured: true, maxNodes: 10, stats: stats });
+  assert.strictEqual(result.status, csp.UNKNOWN);
+  assert.strictEqual(result.reason, 'maxNodes');
+  assert.strictEqual(result.solution, null);
+  assert.strictEqual(result.stats, stats);
+});
+
+test('explain adds the core to UNSAT', () => {
+  const result = csp.solve(impossible(), { structured: true, explain: true });
+  assert.strictEqual(result.status, csp.UNSAT);
+  assert.ok(result.core.some(item => item.name === 'a/b'));
+  assert.strictEqual(csp.solve(impossible(), { explain: true }).status, csp.UNSAT);
+});
+
+test('local search giving up is UNKNOWN, not UNSAT', () => {
+  const result = csp.solve(impossible(), { structured: true, engine: 'minConflicts', maxIterations: 20, seed: 1 });
+  assert.strictEqual(result.status, csp.UNKNOWN);
+  assert.strictEqual(result.reason, 'maxIterations');
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+
+const neq = csp.relations.neq;
+
+function pair() {
+  return { variables: { a: [1, 2], b: [1, 2] }, constraints: [['a', 'b', neq], ['b', 'a', neq]] };
+}
+
+function impossible() {
+  return { variables: { a: [1], b: [1] }, constraints: [['a', 'b', neq], ['b', 'a', neq]] };
+}
+
+// n + 1 pigeons in n holes, as pairwise != that arc consistency cannot refute
+function pigeonholes(n) {
+  const variables = {}, constraints = [];
+  for (let i = 0; i <= n; i++) {
+    variables['x' + i] = Array.from({ length: n }, (_, v) => v);
+    for (let j = 0; j < i; j++) constraints.push(['x' + j, 'x' + i, neq], ['x' + i, 'x' + j, neq]);
+  }
+  return { variables: variables, constraints: constraints };
+}
+
+test('step() walks the events and the iterator sees the same ones', () => {
+  const types = [];
+  const search = csp.search(pair());
+  for (let event = search.step(); event; event = search.step()) types.push(event.type);
+  assert.strictEqual(search.step(), null);
+  assert.ok(search.done);
+  assert.strictEqual(types.filter(t => t === 'solution').length, 2);
+  assert.deepStrictEqual(Array.from(csp.search(pair()), e => e.type), types);
+  assert.deepStrictEqual(Array.from(csp.search(pair(), { events: ['solution'] }), e => e.type), ['solution', 'solution']);
+});
+
+test('run() resolves with each solution, then FAILURE', async () => {
+  const search = csp.search(pair());
+  const first = await search.run(), second = await search.run();
+  assert.notDeepStrictEqual(first, second);
+  assert.strictEqual(await search.run(), csp.FAILURE);
+  assert.strictEqual(await csp.search(impossible()).run(), csp.FAILURE);
+});
+
+test('run() resolves UNKNOWN when a limit strikes first', async () => {
+  const result = await csp.search(pigeonholes(8), { maxNodes: 50 }).run();
+  assert.strictEqual(result.status, csp.UNKNOWN);
+  assert.strictEqual(result.reason, 'maxNodes');
+  assert.strictEqual(result.solution, null);
+  assert.ok(result.partial);
+});
+
+test('pause holds run() until resume', async () => {
+  const search = csp.search(pair());
+  search.pause();
+  let settled = false;
+  const pending = search.run().then(s => { settled = true; return s; });
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(settled, false);
+  assert.ok(search.paused);
+  search.resume();
+  const solution = await pending;
+  assert.notStrictEqual(solution.a, solution.b);
+});
+
+test('an AbortSignal rejects a pending run() and async next()', async () => {
+  let controller = new AbortController();
+  let search = csp.search(pair(), { signal: controller.signal });
+  search.pause();
+  const run = search.run();
+  controller.abort();
+  await assert.rejects(run, { name: 'AbortError' });
+  assert.ok(search.done);
+
+  controller = new AbortController();
+  search = csp.search(pair(), { signal: controller.signal });
+  search.pause();
+  const next = search[Symbol.asyncIterator]().next();
+  controller.abort();
+  await assert.rejects(next, { name: 'AbortError' });
+  assert.throws(() => search.step(), { name: 'AbortError' });
+});
+
+test('aborting stops a long run()', async () => {
+  const controller = new AbortController();
+  const run = csp.search(pigeonholes(12), { signal: controller.signal }).run();
+  setTimeout(() => controller.abort(), 30);
+  await assert.rejects(run, { name: 'AbortError' });
+});
+
+test('the async iterator yields the events in order', async () => {
+  const types = [];
+  for await (const event of csp.search(pair(), { events: ['solution'] })) types.push(event.type);
+  assert.deepStrictEqual(types, ['solution', 'solution']);
+});
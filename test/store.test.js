@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csp = require('../csp');
+const models = require('../models');
+
+// Counts by trying every combination of values, with no propagation at all
+function bruteForceCount(problem) {
+  const names = Object.keys(problem.variables);
+  let n = 0;
+  (function fill(i, assignment) {
+    if (i === names.length) {
+      const ok = problem.constraints.every(([a, b, pred]) => pred(assignment[a], assignment[b])) &&
+        problem.naryConstraints.every(C => C.predicate(assignment));
+      if (ok) n++;
+      return;
+    }
+    problem.variables[names[i]].forEach(value => {
+      assignment[names[i]] = value;
+      fill(i + 1, assignment);
+    });
+  })(0, {});
+  return n;
+}
+
+function randomProblem(random) {
+  const variables = {}, constraints = [], naryConstraints = [];
+  const names = ['a', 'b', 'c', 'd', 'e'];
+  names.forEach(v => { variables[v] = [1, 2, 3, 4].filter(() => random() < 0.8); });
+  const relations = [csp.relations.neq, csp.relations.lt, csp.relations.le, (x, y) => (x + y) % 3 !== 0];
+  for (let k = 0; k < 6; k++) {
+    const a = names[Math.floor(random() * 5)], b = names[Math.floor(random() * 5)];
+    if (a !== b) constraints.push([a, b, relations[Math.floor(random() * relations.length)]]);
+  }
+  naryConstraints.push({ vars: ['a', 'c', 'e'], predicate: s => s.a + s.c + s.e !== 7 });
+  if (random() < 0.5) naryConstraints.push(csp.allDifferent(['b', 'd', 'e']));
+  return { variables: variables, constraints: constraints, naryConstraints: naryConstraints };
+}
+
+test('counts agree with brute force on random problems', () => {
+  const random = csp.seededRandom(5);
+  for (let i = 0; i < 40; i++) {
+    const problem = randomProblem(random);
+    assert.strictEqual(csp.count(problem), bruteForceCount(problem), 'problem ' + i);
+  }
+});
+
+test('known puzzle counts', () => {
+  assert.strictEqual(csp.count(models.nQueens(6)), 4);
+  assert.strictEqual(csp.count(models.nQueens(8)), 92);
+  assert.strictEqual(csp.count(models.sudoku([[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]])), 288);
+});
+
+test('solving leaves the problem alone and returns separate solutions', () => {
+  const problem = models.nQueens(5);
+  const before = JSON.stringify(problem.variables);
+  const solutions = csp.solveAll(problem);
+  assert.strictEqual(JSON.stringify(problem.variables), before);
+  assert.strictEqual(solutions.length, 10);
+  assert.strictEqual(new Set(solutions.map(s => JSON.stringify(s))).size, 10);
+  solutions[0][0] = 'changed';
+  assert.notStrictEqual(solutions[1][0], 'changed');
+  assert.deepStrictEqual(csp.solve(problem), csp.solve(problem));
+});
+
+test('wide intervals are split rather than enumerated', () => {
+  const problem = {
+    variables: { x: { min: 1, max: 1000 }, y: { min: 1, max: 1000 } },
+    naryConstraints: [csp.sum(['x', 'y'], '=', 1000)]
+  };
+  const stats = {};
+  assert.strictEqual(csp.count(problem, { stats: stats }), 999);
+  const solution = csp.solve(problem);
+  assert.strictEqual(solution.x + solution.y, 1000);
+  const splits = Array.from(csp.search(problem, { events: ['split'] })).filter(e => e.type === 'split');
+  assert.ok(splits.length > 0);
+});